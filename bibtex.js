@@ -0,0 +1,198 @@
+// BibTeX/BibLaTeX parser and formatter. Keeps every block of the source file
+// (entries, @string, @preamble, @comment and free text) so a file can be
+// reformatted without losing anything.
+
+const { lineOffsets, lineFromOffsets } = require('./latex-parser.js');
+
+const NON_ENTRY_TYPES = new Set(['string', 'preamble', 'comment']);
+
+// Preferred field order for formatted output; other fields follow alphabetically
+const FIELD_ORDER = ['author', 'editor', 'title', 'booktitle', 'journal', 'journaltitle', 'volume', 'number', 'pages', 'year', 'date', 'month', 'publisher', 'address', 'edition', 'series', 'institution', 'school', 'organization', 'doi', 'isbn', 'issn', 'url', 'urldate', 'eprint', 'archiveprefix', 'primaryclass', 'note'];
+
+// Returns the index just past the group that starts at `start` with `open`
+function skipBalanced(text, start, open, close) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === open) {
+            depth++;
+        } else if (text[i] === close) {
+            depth--;
+            if (depth === 0) return i + 1;
+        }
+    }
+    throw new Error(`unbalanced "${open}"`);
+}
+
+function skipSpace(text, i) {
+    while (i < text.length && /\s/.test(text[i])) i++;
+    return i;
+}
+
+// Parses one field value: {..}, "..", a number or macro, joined with "#"
+function readValue(text, i, closeChar) {
+    const start = i;
+    for (;;) {
+        i = skipSpace(text, i);
+        if (text[i] === '{') {
+            i = skipBalanced(text, i, '{', '}');
+        } else if (text[i] === '"') {
+            let depth = 0;
+            let j = i + 1;
+            for (; j < text.length; j++) {
+                if (text[j] === '\\') j++;
+                else if (text[j] === '{') depth++;
+                else if (text[j] === '}') depth--;
+                else if (text[j] === '"' && depth === 0) break;
+            }
+            if (j >= text.length) throw new Error('unterminated quoted value');
+            i = j + 1;
+        } else {
+            const bare = /^[^\s,#{}()"=]+/.exec(text.substring(i));
+            if (!bare) throw new Error(`expected a field value near "${text.substring(i, i + 20)}"`);
+            i += bare[0].length;
+        }
+        const next = skipSpace(text, i);
+        if (text[next] !== '#') {
+            if (text[next] !== ',' && text[next] !== closeChar) {
+                throw new Error(`expected "," or "${closeChar}" after field value`);
+            }
+            return { raw: text.substring(start, i).trim(), end: next };
+        }
+        i = next + 1;
+    }
+}
+
+function parseEntryBody(text, i, closeChar) {
+    const keyMatch = /^\s*([^\s,{}()]*)\s*,?/.exec(text.substring(i));
+    const key = keyMatch[1];
+    i += keyMatch[0].length;
+    const fields = [];
+    for (;;) {
+        i = skipSpace(text, i);
+        if (text[i] === ',') {
+            i++;
+            continue;
+        }
+        if (text[i] === closeChar) return { key, fields, end: i + 1 };
+        if (i >= text.length) throw new Error('unterminated entry');
+        const nameMatch = /^([^\s=,{}()"#]+)\s*=/.exec(text.substring(i));
+        if (!nameMatch) throw new Error(`expected "name = value" near "${text.substring(i, i + 20)}"`);
+        i += nameMatch[0].length;
+        const value = readValue(text, i, closeChar);
+        fields.push({ name: nameMatch[1].toLowerCase(), value: value.raw });
+        i = value.end;
+    }
+}
+
+function parseBibtex(text) {
+    const blocks = [];
+    const errors = [];
+    const offsets = lineOffsets(text);
+    let i = 0;
+    let textStart = 0;
+
+    const pushText = (end) => {
+        const raw = text.substring(textStart, end);
+        if (raw.trim()) blocks.push({ kind: 'text', raw: raw.trim() });
+    };
+
+    while (i < text.length) {
+        const at = text.indexOf('@', i);
+        if (at === -1) break;
+        const typeMatch = /^@\s*([a-zA-Z]+)\s*([{(])/.exec(text.substring(at));
+        if (!typeMatch) {
+            i = at + 1;
+            continue;
+        }
+        pushText(at);
+        const type = typeMatch[1].toLowerCase();
+        const openChar = typeMatch[2];
+        const closeChar = openChar === '{' ? '}' : ')';
+        const bodyStart = at + typeMatch[0].length;
+
+        try {
+            if (NON_ENTRY_TYPES.has(type)) {
+                const end = skipBalanced(text, bodyStart - 1, openChar, closeChar);
+                blocks.push({ kind: type, raw: text.substring(at, end), startIndex: at, endIndex: end });
+                i = end;
+            } else {
+                const body = parseEntryBody(text, bodyStart, closeChar);
+                if (!body.key) throw new Error('missing citation key');
+                blocks.push({
+                    kind: 'entry',
+                    type,
+                    key: body.key,
+                    fields: body.fields,
+                    raw: text.substring(at, body.end),
+                    startIndex: at,
+                    endIndex: body.end,
+                    line: lineFromOffsets(offsets, at)
+                });
+                i = body.end;
+            }
+        } catch (error) {
+            errors.push({ line: lineFromOffsets(offsets, at), message: `@${type}: ${error.message}` });
+            // Resume at the next line that starts a new entry
+            const nextEntry = text.substring(at + 1).search(/\n\s*@/);
+            i = nextEntry === -1 ? text.length : at + 1 + nextEntry + 1;
+            blocks.push({ kind: 'text', raw: text.substring(at, i).trim() });
+        }
+        textStart = i;
+    }
+    pushText(text.length);
+
+    return { blocks, entries: blocks.filter(b => b.kind === 'entry'), errors };
+}
+
+// Strips one level of {..} or ".." for display and comparison
+function fieldText(value) {
+    if (!value) return '';
+    const trimmed = value.trim();
+    if ((trimmed.startsWith('{') && trimmed.endsWith('}')) || (trimmed.startsWith('"') && trimmed.endsWith('"'))) {
+        return trimmed.slice(1, -1).trim();
+    }
+    return trimmed;
+}
+
+function getField(entry, name) {
+    const field = entry.fields.find(f => f.name === name);
+    return field ? fieldText(field.value) : null;
+}
+
+function formatValue(raw) {
+    // Quoted strings become braced; numbers, macros and concatenations stay as they are
+    if (raw.startsWith('"') && raw.endsWith('"') && !raw.includes('#')) {
+        return `{${raw.slice(1, -1)}}`;
+    }
+    return raw;
+}
+
+function formatEntry(entry) {
+    const rank = name => {
+        const index = FIELD_ORDER.indexOf(name);
+        return index === -1 ? FIELD_ORDER.length : index;
+    };
+    const fields = [...entry.fields].sort((a, b) => rank(a.name) - rank(b.name) || a.name.localeCompare(b.name));
+    const width = Math.max(0, ...fields.map(f => f.name.length));
+    const lines = fields.map(f => `  ${f.name.padEnd(width)} = ${formatValue(f.value.replace(/\s*\n\s*/g, ' '))},`);
+    return `@${entry.type}{${entry.key},\n${lines.join('\n')}\n}`;
+}
+
+function formatBibtex(text, { sort = false } = {}) {
+    const { blocks, errors } = parseBibtex(text);
+    if (errors.length > 0) {
+        throw new Error(`Cannot format: ${errors.map(e => `line ${e.line}: ${e.message}`).join('; ')}`);
+    }
+    let ordered = blocks;
+    if (sort) {
+        // Keep @string/@preamble definitions first since entries may use them
+        const head = blocks.filter(b => b.kind !== 'entry');
+        const entries = blocks.filter(b => b.kind === 'entry').sort((a, b) => a.key.localeCompare(b.key));
+        ordered = [...head, ...entries];
+    }
+    return ordered.map(b => (b.kind === 'entry' ? formatEntry(b) : b.raw)).join('\n\n') + '\n';
+}
+
+module.exports = { parseBibtex, formatEntry, formatBibtex, getField, fieldText };
@@ -0,0 +1,76 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { parseBibtex, formatEntry, formatBibtex, getField } = require('./bibtex.js');
+
+const sample = [
+  '% Bibliography for the paper',
+  '@string{jml = "Journal of Machine Learning"}',
+  '',
+  '@Article{smith2020,',
+  '  Title = {The {GPU} Era},',
+  '  author = "Smith, John and Doe, Jane",',
+  '  journal = jml,',
+  '  year = 2020,',
+  '  note = "Part " # "one"',
+  '}',
+  '',
+  '@inproceedings(lee2019, title={Nested {braces {deep}}}, booktitle={Proc.}, year={2019})',
+  '',
+  '@misc{broken, title = {unterminated}',
+  '',
+  '@book{ok2021, title={Fine}}',
+  ''
+].join('\n');
+
+describe('parseBibtex', () => {
+  it('parses entries with braced, quoted, macro and concatenated values', () => {
+    const { entries } = parseBibtex(sample);
+    assert.deepStrictEqual(entries.map(e => [e.type, e.key]), [
+      ['article', 'smith2020'],
+      ['inproceedings', 'lee2019'],
+      ['book', 'ok2021']
+    ]);
+    const smith = entries[0];
+    assert.deepStrictEqual(smith.fields.map(f => f.name), ['title', 'author', 'journal', 'year', 'note']);
+    assert.strictEqual(getField(smith, 'title'), 'The {GPU} Era');
+    assert.strictEqual(getField(smith, 'author'), 'Smith, John and Doe, Jane');
+    assert.strictEqual(getField(smith, 'journal'), 'jml');
+    assert.strictEqual(smith.fields[4].value, '"Part " # "one"');
+    assert.strictEqual(getField(entries[1], 'title'), 'Nested {braces {deep}}');
+    assert.strictEqual(smith.line, 4);
+  });
+
+  it('reports malformed entries and keeps parsing', () => {
+    const { errors, blocks } = parseBibtex(sample);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].line, 14);
+    assert.ok(blocks.some(b => b.kind === 'string'));
+  });
+});
+
+describe('formatEntry', () => {
+  it('normalizes case, quoting, field order and alignment', () => {
+    const [entry] = parseBibtex('@ARTICLE{k, Year=2020, Title="A", Author={B}, Zeta={z}, Doi={10.1/x}}').entries;
+    assert.strictEqual(formatEntry(entry), [
+      '@article{k,',
+      '  author = {B},',
+      '  title  = {A},',
+      '  year   = 2020,',
+      '  doi    = {10.1/x},',
+      '  zeta   = {z},',
+      '}'
+    ].join('\n'));
+  });
+});
+
+describe('formatBibtex', () => {
+  it('keeps strings and comments and can sort entries by key', () => {
+    const text = '% header\n@book{b, title={B}}\n@string{x = "y"}\n@book{a, title={A}}\n';
+    const formatted = formatBibtex(text, { sort: true });
+    assert.strictEqual(formatted, '% header\n\n@string{x = "y"}\n\n@book{a,\n  title = {A},\n}\n\n@book{b,\n  title = {B},\n}\n');
+  });
+
+  it('refuses to format files with parse errors', () => {
+    assert.throws(() => formatBibtex(sample), /Cannot format: line 14/);
+  });
+});
@@ -0,0 +1,124 @@
+// Parser for TeX engine logs (pdflatex, xelatex, lualatex, as run by latexmk).
+// Works with and without -file-line-error and maps every message to the
+// project file that was open when it was written.
+
+const FILE_EXTENSIONS = /\.(tex|sty|cls|bbl|aux|toc|lof|lot|clo|cfg|def|fd|ltx|out|ind|gls|nav|snm|vrb)$/i;
+
+function normalizeLogPath(filePath) {
+    return filePath.replace(/^\.\//, '');
+}
+
+// Files outside the project (TeX distribution packages) are never blamed for messages
+function isProjectFile(filePath) {
+    return Boolean(filePath) && !filePath.startsWith('/') && !/^[a-zA-Z]:[\\/]/.test(filePath);
+}
+
+// Tracks which file is open by following the "(file" ... ")" pairs TeX prints.
+// Parentheses that do not start a file name are pushed as null so they still balance.
+function updateFileStack(stack, line) {
+    const parenRegex = /\(([^\s()]*)|\)/g;
+    let match;
+    while ((match = parenRegex.exec(line)) !== null) {
+        if (match[0] === ')') {
+            stack.pop();
+        } else if (match[1] && (FILE_EXTENSIONS.test(match[1]) || match[1].startsWith('./'))) {
+            stack.push(normalizeLogPath(match[1]));
+        } else {
+            stack.push(null);
+        }
+    }
+}
+
+function currentProjectFile(stack) {
+    for (let i = stack.length - 1; i >= 0; i--) {
+        if (isProjectFile(stack[i])) return stack[i];
+    }
+    return null;
+}
+
+function classifyWarning(message) {
+    if (/^Reference `.*' on page .* undefined/.test(message)) return 'undefined-reference';
+    if (/^Citation `.*' on page .* undefined/.test(message) || /^Citation '.*' undefined/.test(message)) return 'undefined-citation';
+    if (/There were undefined (references|citations)/.test(message)) return 'undefined-reference';
+    if (/Label `.*' multiply defined/.test(message)) return 'duplicate-label';
+    return 'warning';
+}
+
+function parseLatexLog(logText) {
+    const lines = logText.split(/\r?\n/);
+    const errors = [];
+    const warnings = [];
+    const stack = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // -file-line-error style: ./chapters/intro.tex:12: Undefined control sequence.
+        const fileLineError = /^(\.?\/?[^:\s][^:]*\.(?:tex|sty|cls|bbl)):(\d+): (.*)$/.exec(line);
+        if (fileLineError) {
+            errors.push({
+                file: normalizeLogPath(fileLineError[1]),
+                line: parseInt(fileLineError[2], 10),
+                message: fileLineError[3].trim(),
+                context: lines.slice(i + 1, i + 3).filter(l => l.trim()).join('\n') || undefined
+            });
+            continue;
+        }
+
+        // Classic style: "! Message" followed a few lines later by "l.<line> <context>"
+        if (line.startsWith('! ')) {
+            let lineNumber = null;
+            let context;
+            for (let k = i + 1; k < Math.min(lines.length, i + 12); k++) {
+                const location = /^l\.(\d+) ?(.*)$/.exec(lines[k]);
+                if (location) {
+                    lineNumber = parseInt(location[1], 10);
+                    context = location[2] || undefined;
+                    break;
+                }
+            }
+            errors.push({ file: currentProjectFile(stack), line: lineNumber, message: line.substring(2).trim(), context });
+            continue;
+        }
+
+        const box = /^(Overfull|Underfull) \\([hv]box) \(([^)]*)\)(?: in paragraph)?(?: (?:at lines|detected at line) (\d+)(?:--(\d+))?)?/.exec(line);
+        if (box) {
+            warnings.push({
+                type: box[1].toLowerCase() + '-box',
+                file: currentProjectFile(stack),
+                line: box[4] ? parseInt(box[4], 10) : null,
+                message: `${box[1]} \\${box[2]} (${box[3]})`
+            });
+            updateFileStack(stack, line.substring(box[0].length));
+            continue;
+        }
+
+        const warning = /^(?:LaTeX(?: (\S+))?|Package (\S+)|Class (\S+)) Warning: (.*)$/.exec(line);
+        if (warning) {
+            // Package warnings continue on lines prefixed with "(pkgname)"
+            let message = warning[4];
+            const owner = warning[1] || warning[2] || warning[3];
+            while (owner && i + 1 < lines.length && lines[i + 1].startsWith(`(${owner})`)) {
+                message += ' ' + lines[++i].substring(owner.length + 2).trim();
+            }
+            // LaTeX's own warnings may wrap onto a few more lines, ending with "."
+            for (let extra = 0; !owner && extra < 3 && !/\.$/.test(message.trim()) && i + 1 < lines.length && lines[i + 1].trim() !== ''; extra++) {
+                message += ' ' + lines[++i].trim();
+            }
+            const inputLine = /on input line (\d+)/.exec(message);
+            warnings.push({
+                type: classifyWarning(message),
+                file: currentProjectFile(stack),
+                line: inputLine ? parseInt(inputLine[1], 10) : null,
+                message: owner ? `${owner}: ${message}` : message
+            });
+            continue;
+        }
+
+        updateFileStack(stack, line);
+    }
+
+    return { errors, warnings };
+}
+
+module.exports = { parseLatexLog };
@@ -0,0 +1,78 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { parseLatexLog } = require('./latex-log.js');
+
+const classicLog = [
+  'This is pdfTeX, Version 3.141592653-2.6-1.40.25 (TeX Live 2023) (preloaded format=pdflatex)',
+  '(./main.tex',
+  'LaTeX2e <2023-11-01>',
+  '(/usr/share/texlive/texmf-dist/tex/latex/base/article.cls',
+  'Document Class: article 2023/05/17 v1.4n Standard LaTeX document class',
+  '(/usr/share/texlive/texmf-dist/tex/latex/base/size10.clo))',
+  '(./chapters/intro.tex',
+  'Overfull \\hbox (12.5pt too wide) in paragraph at lines 14--16',
+  '[]\\OT1/cmr/m/n/10 Some long text',
+  '',
+  'LaTeX Warning: Reference `fig:missing\' on page 1 undefined on input line 20.',
+  '',
+  'Package natbib Warning: Citation `smith2020\' on page 1 undefined on input line 22.',
+  '',
+  '! Undefined control sequence.',
+  'l.25 \\modelnam',
+  '              e{} works',
+  ')',
+  'Underfull \\vbox (badness 10000) detected at line 40',
+  '',
+  'LaTeX Warning: There were undefined references.',
+  '',
+  ')'
+].join('\n');
+
+describe('parseLatexLog', () => {
+  it('maps classic errors to the open project file and line', () => {
+    const { errors } = parseLatexLog(classicLog);
+    assert.deepStrictEqual(errors, [{
+      file: 'chapters/intro.tex',
+      line: 25,
+      message: 'Undefined control sequence.',
+      context: '\\modelnam'
+    }]);
+  });
+
+  it('classifies box, reference and citation warnings', () => {
+    const { warnings } = parseLatexLog(classicLog);
+    assert.deepStrictEqual(warnings.map(w => [w.type, w.file, w.line]), [
+      ['overfull-box', 'chapters/intro.tex', 14],
+      ['undefined-reference', 'chapters/intro.tex', 20],
+      ['undefined-citation', 'chapters/intro.tex', 22],
+      ['underfull-box', 'main.tex', 40],
+      ['undefined-reference', 'main.tex', null]
+    ]);
+    assert.strictEqual(warnings[2].message, "natbib: Citation `smith2020' on page 1 undefined on input line 22.");
+  });
+
+  it('parses -file-line-error output', () => {
+    const { errors } = parseLatexLog([
+      '(./main.tex (./sections/methods.tex',
+      './sections/methods.tex:7: LaTeX Error: Environment equation* undefined.',
+      '',
+      'See the LaTeX manual or LaTeX Companion for explanation.',
+      'l.7 \\begin{equation*}'
+    ].join('\n'));
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].file, 'sections/methods.tex');
+    assert.strictEqual(errors[0].line, 7);
+    assert.strictEqual(errors[0].message, 'LaTeX Error: Environment equation* undefined.');
+  });
+
+  it('joins multi-line package warnings', () => {
+    const { warnings } = parseLatexLog([
+      '(./main.tex',
+      'Package hyperref Warning: Token not allowed in a PDF string (Unicode):',
+      '(hyperref)                removing `math shift\' on input line 12.',
+      ')'
+    ].join('\n'));
+    assert.strictEqual(warnings[0].line, 12);
+    assert.match(warnings[0].message, /^hyperref: Token not allowed .* removing `math shift'/);
+  });
+});
@@ -0,0 +1,665 @@
+// LaTeX source helpers shared by the section and document tools. These work on
+// raw text only, so they never need a TeX installation.
+
+const path = require('path');
+
+// Replaces comments with spaces so character offsets and line numbers stay valid
+function maskComments(content) {
+    return content.replace(/(^|[^\\])((?:\\\\)*)%[^\n]*/g, (match, before, backslashes) =>
+        before + backslashes + ' '.repeat(match.length - before.length - backslashes.length)
+    );
+}
+
+const SECTION_LEVELS = {
+    part: 0,
+    chapter: 1,
+    section: 2,
+    subsection: 3,
+    subsubsection: 4,
+    paragraph: 5,
+    subparagraph: 6
+};
+
+const VERBATIM_ENVIRONMENTS = new Set(['verbatim', 'verbatim*', 'Verbatim', 'BVerbatim', 'LVerbatim', 'lstlisting', 'minted', 'comment', 'filecontents', 'filecontents*']);
+
+// Reads a group starting at `start` (which must hold `open`), honouring nested
+// groups and escaped characters. Returns the inner text and the index after it.
+function readGroup(content, start, open, close) {
+    if (content[start] !== open) return null;
+    let depth = 0;
+    for (let i = start; i < content.length; i++) {
+        const ch = content[i];
+        if (ch === '\\') {
+            i++;
+        } else if (ch === '{' && open !== '{') {
+            // Braces inside [..] still nest, e.g. \section[{a]b}]{...}
+            const inner = readGroup(content, i, '{', '}');
+            if (!inner) return null;
+            i = inner.end - 1;
+        } else if (ch === open) {
+            depth++;
+        } else if (ch === close) {
+            depth--;
+            if (depth === 0) return { text: content.substring(start + 1, i), end: i + 1 };
+        }
+    }
+    return null;
+}
+
+function skipWhitespace(content, i) {
+    while (i < content.length && /\s/.test(content[i])) i++;
+    return i;
+}
+
+// Splits LaTeX source into the tokens the outline cares about: sectioning
+// commands, labels and back-matter boundaries. Comments, verbatim environments
+// and \verb are skipped so headings inside them are ignored.
+function tokenize(content) {
+    const tokens = [];
+    let inAppendix = false;
+    let i = 0;
+
+    while (i < content.length) {
+        const ch = content[i];
+        if (ch === '%') {
+            const newline = content.indexOf('\n', i);
+            i = newline === -1 ? content.length : newline;
+            continue;
+        }
+        if (ch !== '\\') {
+            i++;
+            continue;
+        }
+
+        const nameMatch = /^[a-zA-Z]+/.exec(content.substring(i + 1, i + 40));
+        if (!nameMatch) {
+            // Control symbol such as \% or \\
+            i += 2;
+            continue;
+        }
+        const name = nameMatch[0];
+        const start = i;
+        i += 1 + name.length;
+
+        if (name === 'verb') {
+            if (content[i] === '*') i++;
+            const delimiter = content[i];
+            const endVerb = content.indexOf(delimiter, i + 1);
+            i = endVerb === -1 ? content.length : endVerb + 1;
+            continue;
+        }
+
+        if (name === 'begin' || name === 'end') {
+            const env = readGroup(content, skipWhitespace(content, i), '{', '}');
+            if (!env) continue;
+            const envName = env.text.trim();
+            if (name === 'begin' && VERBATIM_ENVIRONMENTS.has(envName)) {
+                const endTag = content.indexOf(`\\end{${envName}}`, env.end);
+                i = endTag === -1 ? content.length : endTag + `\\end{${envName}}`.length;
+                continue;
+            }
+            if ((name === 'end' && envName === 'document') || (name === 'begin' && envName === 'thebibliography')) {
+                tokens.push({ kind: 'boundary', index: start });
+            }
+            i = env.end;
+            continue;
+        }
+
+        if (name === 'appendix') {
+            inAppendix = true;
+            tokens.push({ kind: 'boundary', index: start });
+            continue;
+        }
+
+        if (name === 'bibliography' || name === 'printbibliography') {
+            tokens.push({ kind: 'boundary', index: start });
+            continue;
+        }
+
+        if (name === 'label') {
+            const label = readGroup(content, skipWhitespace(content, i), '{', '}');
+            if (label) {
+                tokens.push({ kind: 'label', index: start, end: label.end, name: label.text.trim() });
+                i = label.end;
+            }
+            continue;
+        }
+
+        if (Object.prototype.hasOwnProperty.call(SECTION_LEVELS, name)) {
+            let j = i;
+            const starred = content[j] === '*';
+            if (starred) j++;
+            j = skipWhitespace(content, j);
+            let shortTitle = null;
+            if (content[j] === '[') {
+                const optional = readGroup(content, j, '[', ']');
+                if (!optional) continue;
+                shortTitle = optional.text.trim();
+                j = skipWhitespace(content, optional.end);
+            }
+            const title = readGroup(content, j, '{', '}');
+            if (!title) continue;
+            tokens.push({
+                kind: 'heading',
+                type: name,
+                level: SECTION_LEVELS[name],
+                title: title.text.trim(),
+                shortTitle,
+                starred,
+                appendix: inAppendix,
+                index: start,
+                titleStart: j + 1,
+                bodyStart: title.end
+            });
+            // Continue inside the title so a \label{} in it is still seen
+            i = j + 1;
+        }
+    }
+
+    return tokens;
+}
+
+// Index where each line starts; look lines up with lineFromOffsets instead of
+// rescanning the content for every match
+function lineOffsets(content) {
+    const offsets = [0];
+    for (let i = 0; i < content.length; i++) {
+        if (content[i] === '\n') offsets.push(i + 1);
+    }
+    return offsets;
+}
+
+// 1-based line of index, by binary search over lineOffsets()
+function lineFromOffsets(offsets, index) {
+    let low = 0;
+    let high = offsets.length - 1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (offsets[mid] <= index) low = mid;
+        else high = mid - 1;
+    }
+    return low + 1;
+}
+
+// Flat list of headings in document order. Each heading's body runs to the next
+// heading of any level (endIndex); sectionEndIndex also covers its subsections.
+// headingEnd is bodyStart, or the end of a \label that directly follows the title.
+function parseSections(content) {
+    const tokens = tokenize(content);
+    const headings = tokens.filter(t => t.kind === 'heading');
+    const boundaries = tokens.filter(t => t.kind === 'boundary').map(t => t.index);
+    const labels = tokens.filter(t => t.kind === 'label');
+    const offsets = lineOffsets(content);
+    const masked = maskComments(content);
+
+    const sections = headings.map((heading, k) => {
+        const next = headings[k + 1];
+        let endIndex = next ? next.index : content.length;
+        const stop = boundaries.find(b => b >= heading.bodyStart && b < endIndex);
+        if (stop !== undefined) endIndex = stop;
+
+        let sectionEndIndex = content.length;
+        const nextSibling = headings.slice(k + 1).find(h => h.level <= heading.level);
+        if (nextSibling) sectionEndIndex = nextSibling.index;
+        const sectionStop = boundaries.find(b => b >= heading.bodyStart && b < sectionEndIndex);
+        if (sectionStop !== undefined) sectionEndIndex = sectionStop;
+
+        // A label belongs to the heading if it is inside the title or directly follows it
+        const label = labels.find(l =>
+            l.index >= heading.titleStart && l.index < endIndex &&
+            (l.index < heading.bodyStart || masked.substring(heading.bodyStart, l.index).trim() === '')
+        );
+
+        return {
+            type: heading.type,
+            level: heading.level,
+            title: heading.title,
+            shortTitle: heading.shortTitle,
+            starred: heading.starred,
+            appendix: heading.appendix,
+            label: label ? label.name : null,
+            startIndex: heading.index,
+            bodyStart: heading.bodyStart,
+            headingEnd: label && label.index >= heading.bodyStart ? label.end : heading.bodyStart,
+            endIndex,
+            sectionEndIndex,
+            startLine: lineFromOffsets(offsets, heading.index),
+            endLine: lineFromOffsets(offsets, Math.max(heading.index, content.substring(0, sectionEndIndex).trimEnd().length - 1)),
+            content: content.substring(heading.bodyStart, endIndex).trim()
+        };
+    });
+
+    return sections;
+}
+
+// Nests a flat heading list (from one file or a whole document) into a tree
+function buildOutlineTree(sections) {
+    const root = { children: [] };
+    const stack = [{ level: -1, node: root }];
+    for (const section of sections) {
+        const node = {
+            type: section.type,
+            title: section.title,
+            shortTitle: section.shortTitle,
+            starred: section.starred,
+            appendix: section.appendix,
+            label: section.label,
+            ...(section.file ? { file: section.file } : {}),
+            startLine: section.startLine,
+            endLine: section.endLine,
+            children: []
+        };
+        while (stack[stack.length - 1].level >= section.level) stack.pop();
+        stack[stack.length - 1].node.children.push(node);
+        stack.push({ level: section.level, node });
+    }
+    return root.children;
+}
+
+// \import-style commands take a directory and a file; the sub* variants are
+// relative to the including file instead of the root document
+const INCLUDE_REGEX = /\\(input|include|subfile|import|subimport|inputfrom|includefrom|subinputfrom|subincludefrom)\s*\{([^}]*)\}(?:\s*\{([^}]*)\})?|\\input\s+([^\s{}\\%]+)/g;
+const TWO_ARGUMENT_COMMANDS = new Set(['import', 'subimport', 'inputfrom', 'includefrom', 'subinputfrom', 'subincludefrom']);
+
+function findIncludes(content) {
+    const masked = maskComments(content);
+    const includes = [];
+    let match;
+    INCLUDE_REGEX.lastIndex = 0;
+    while ((match = INCLUDE_REGEX.exec(masked)) !== null) {
+        if (match[4]) {
+            includes.push({ command: 'input', directory: null, target: match[4], index: match.index });
+        } else if (TWO_ARGUMENT_COMMANDS.has(match[1])) {
+            if (match[3] === undefined) continue;
+            includes.push({ command: match[1], directory: match[2].trim(), target: match[3].trim(), index: match.index });
+        } else {
+            includes.push({ command: match[1], directory: null, target: match[2].trim(), index: match.index });
+        }
+    }
+    return includes;
+}
+
+// Resolves an include to a project-relative path, trying ".tex" when the target
+// has no matching file. Returns null if nothing in `existingFiles` matches.
+function resolveIncludePath(include, currentFile, rootFile, existingFiles) {
+    const rootDir = path.posix.dirname(rootFile);
+    const currentDir = path.posix.dirname(currentFile);
+    let base;
+    if (include.command === 'subfile') {
+        base = currentDir;
+    } else if (include.command.startsWith('sub')) {
+        base = path.posix.join(currentDir, include.directory);
+    } else if (include.directory !== null) {
+        base = path.posix.join(rootDir, include.directory);
+    } else {
+        base = rootDir;
+    }
+    const candidate = path.posix.normalize(path.posix.join(base, include.target));
+    if (candidate.startsWith('../')) return null;
+    for (const option of [candidate, `${candidate}.tex`]) {
+        if (existingFiles.has(option)) return option;
+    }
+    return null;
+}
+
+// Any natbib/biblatex citation command: \cite, \citep, \Citet, \parencite,
+// \autocite, \footcite, \citeauthor, \nocite, ... Plural forms such as \cites
+// take several key groups, each with its own optional notes.
+const CITE_COMMAND_REGEX = /\\((?:[a-z]*cite|[A-Z][a-z]*cite|Cite)[a-zA-Z]*)\*?/g;
+const NON_CITATION_COMMANDS = new Set(['citestyle', 'defcitealias', 'citeindextrue', 'citeindexfalse']);
+
+function findCitations(content) {
+    const masked = maskComments(content);
+    const citations = [];
+    let match;
+    CITE_COMMAND_REGEX.lastIndex = 0;
+    while ((match = CITE_COMMAND_REGEX.exec(masked)) !== null) {
+        const command = match[1];
+        if (NON_CITATION_COMMANDS.has(command)) continue;
+        const multi = /cites$/.test(command);
+        const keys = [];
+        let i = match.index + match[0].length;
+        for (;;) {
+            let j = skipWhitespace(masked, i);
+            // Pre/postnotes, and the (..) global notes of multicite commands
+            while (masked[j] === '[' || (multi && masked[j] === '(')) {
+                const note = masked[j] === '[' ? readGroup(masked, j, '[', ']') : readGroup(masked, j, '(', ')');
+                if (!note) break;
+                j = skipWhitespace(masked, note.end);
+            }
+            const group = readGroup(masked, j, '{', '}');
+            if (!group) break;
+            keys.push(...group.text.split(',').map(k => k.trim()).filter(Boolean));
+            i = group.end;
+            if (!multi) break;
+        }
+        if (keys.length > 0) {
+            citations.push({ command, keys, index: match.index });
+        }
+        CITE_COMMAND_REGEX.lastIndex = Math.max(CITE_COMMAND_REGEX.lastIndex, i);
+    }
+    return citations;
+}
+
+// \ref-style commands, including hyperref, cleveref and varioref variants.
+// cleveref accepts comma-separated lists and \crefrange takes two labels.
+const REFERENCE_COMMANDS = new Set([
+    'ref', 'eqref', 'pageref', 'autoref', 'Autoref', 'nameref', 'Nameref', 'vref', 'Vref', 'vpageref',
+    'cref', 'Cref', 'cpageref', 'Cpageref', 'labelcref', 'namecref', 'nameCref', 'crefrange', 'Crefrange', 'cpagerefrange', 'Cpagerefrange'
+]);
+const REFERENCE_REGEX = /\\([a-zA-Z]+)\*?\s*\{/g;
+
+// Labels and references outside comments. Labels built from macro parameters
+// (e.g. \label{#1} in a \newcommand) are ignored.
+function findReferences(content) {
+    const labels = tokenize(content)
+        .filter(t => t.kind === 'label' && t.name && !t.name.includes('#'))
+        .map(t => ({ name: t.name, index: t.index }));
+
+    const masked = maskComments(content);
+    const references = [];
+    let match;
+    REFERENCE_REGEX.lastIndex = 0;
+    while ((match = REFERENCE_REGEX.exec(masked)) !== null) {
+        const command = match[1];
+        if (!REFERENCE_COMMANDS.has(command)) continue;
+        const groupCount = /range$/.test(command) ? 2 : 1;
+        const keys = [];
+        let i = match.index + match[0].length - 1;
+        for (let k = 0; k < groupCount; k++) {
+            const group = readGroup(masked, skipWhitespace(masked, i), '{', '}');
+            if (!group) break;
+            keys.push(...group.text.split(',').map(key => key.trim()).filter(key => key && !key.includes('#')));
+            i = group.end;
+        }
+        if (keys.length > 0) {
+            references.push({ command, keys, index: match.index });
+        }
+    }
+    return { labels, references };
+}
+
+const FLOAT_ENVIRONMENTS = new Set([
+    'figure', 'table', 'algorithm', 'listing', 'wrapfigure', 'wraptable',
+    'sidewaysfigure', 'sidewaystable', 'SCfigure', 'SCtable'
+]);
+
+// Skips up to `max` optional [..] arguments and returns the index after them
+function skipOptionalArguments(content, i, max = 2) {
+    for (let k = 0; k < max; k++) {
+        const j = skipWhitespace(content, i);
+        const optional = readGroup(content, j, '[', ']');
+        if (!optional) break;
+        i = optional.end;
+    }
+    return skipWhitespace(content, i);
+}
+
+function findGraphics(content) {
+    const masked = maskComments(content);
+    const graphics = [];
+    const regex = /\\(includegraphics|includesvg)\*?/g;
+    let match;
+    while ((match = regex.exec(masked)) !== null) {
+        const target = readGroup(masked, skipOptionalArguments(masked, regex.lastIndex), '{', '}');
+        if (target && target.text.trim()) {
+            graphics.push({ command: match[1], target: target.text.trim(), index: match.index });
+        }
+    }
+    return graphics;
+}
+
+// Directories listed in \graphicspath{{figures/}{images/}}
+function findGraphicsPaths(content) {
+    const masked = maskComments(content);
+    const paths = [];
+    const regex = /\\graphicspath\s*/g;
+    let match;
+    while ((match = regex.exec(masked)) !== null) {
+        const group = readGroup(masked, regex.lastIndex, '{', '}');
+        if (!group) continue;
+        for (const entry of group.text.matchAll(/\{([^{}]*)\}/g)) {
+            if (entry[1].trim()) paths.push(entry[1].trim());
+        }
+    }
+    return paths;
+}
+
+const GRAPHICS_EXTENSIONS = ['.pdf', '.png', '.jpg', '.jpeg', '.eps', '.PDF', '.PNG', '.JPG', '.JPEG', '.EPS'];
+
+// Resolves a graphics target the way graphicx does: relative to the root
+// document's directory, then to each \graphicspath entry, trying the usual
+// extensions when the target has none. Returns null if nothing matches.
+function resolveGraphicsPath(graphic, rootFile, graphicsPaths, existingFiles) {
+    const rootDir = path.posix.dirname(rootFile);
+    const extensions = graphic.command === 'includesvg' ? ['.svg'] : GRAPHICS_EXTENSIONS;
+    for (const directory of ['', ...graphicsPaths]) {
+        const candidate = path.posix.normalize(path.posix.join(rootDir, directory, graphic.target));
+        if (candidate.startsWith('../')) continue;
+        for (const option of [candidate, ...extensions.map(ext => candidate + ext)]) {
+            if (existingFiles.has(option)) return option;
+        }
+    }
+    return null;
+}
+
+// Every argument that names a project file: \input/\include and the \import
+// family, \includegraphics/\includesvg, \bibliography and \addbibresource.
+// Targets (and \import directories) carry their offsets in `content` so they
+// can be rewritten in place.
+function findPathReferences(content) {
+    const masked = maskComments(content);
+    const references = [];
+    const argument = (text, start) => {
+        const trimmed = text.trim();
+        const offset = start + text.length - text.trimStart().length;
+        return { text: trimmed, start: offset, end: offset + trimmed.length };
+    };
+
+    let match;
+    INCLUDE_REGEX.lastIndex = 0;
+    while ((match = INCLUDE_REGEX.exec(masked)) !== null) {
+        const first = match.index + match[0].indexOf('{') + 1;
+        if (match[4]) {
+            const start = match.index + match[0].length - match[4].length;
+            references.push({ kind: 'include', command: 'input', directory: null, target: argument(match[4], start), index: match.index });
+        } else if (TWO_ARGUMENT_COMMANDS.has(match[1])) {
+            if (match[3] === undefined) continue;
+            const second = match.index + match[0].lastIndexOf('{') + 1;
+            references.push({ kind: 'include', command: match[1], directory: argument(match[2], first), target: argument(match[3], second), index: match.index });
+        } else {
+            references.push({ kind: 'include', command: match[1], directory: null, target: argument(match[2], first), index: match.index });
+        }
+    }
+
+    const graphicsRegex = /\\(includegraphics|includesvg)\*?/g;
+    while ((match = graphicsRegex.exec(masked)) !== null) {
+        const start = skipOptionalArguments(masked, graphicsRegex.lastIndex);
+        const group = readGroup(masked, start, '{', '}');
+        if (group && group.text.trim()) {
+            references.push({ kind: 'graphics', command: match[1], directory: null, target: argument(group.text, start + 1), index: match.index });
+        }
+    }
+
+    const bibliographyRegex = /\\(bibliography|addbibresource)(?![a-zA-Z])/g;
+    while ((match = bibliographyRegex.exec(masked)) !== null) {
+        const start = skipOptionalArguments(masked, bibliographyRegex.lastIndex, match[1] === 'addbibresource' ? 1 : 0);
+        const group = readGroup(masked, start, '{', '}');
+        if (!group) continue;
+        // \bibliography{refs,extra} names several files
+        const parts = match[1] === 'bibliography' ? group.text.split(',') : [group.text];
+        let offset = start + 1;
+        for (const part of parts) {
+            if (part.trim()) {
+                references.push({ kind: 'bibliography', command: match[1], directory: null, target: argument(part, offset), index: match.index });
+            }
+            offset += part.length + 1;
+        }
+    }
+    return references;
+}
+
+// Extensions TeX adds when a target has none
+const REFERENCE_EXTENSIONS = {
+    includegraphics: GRAPHICS_EXTENSIONS,
+    includesvg: ['.svg'],
+    bibliography: ['.bib'],
+    addbibresource: []
+};
+
+function referenceExtensions(reference) {
+    return reference.kind === 'include' ? ['.tex'] : REFERENCE_EXTENSIONS[reference.command];
+}
+
+// Directories a reference is looked up in, in the order TeX tries them
+function referenceBaseDirectories(reference, currentFile, rootFile, graphicsPaths = []) {
+    const rootDir = path.posix.dirname(rootFile);
+    const currentDir = path.posix.dirname(currentFile);
+    if (reference.kind === 'graphics') {
+        return ['', ...graphicsPaths].map(directory => path.posix.join(rootDir, directory));
+    }
+    if (reference.command === 'subfile') return [currentDir];
+    if (reference.directory) {
+        return [path.posix.join(reference.command.startsWith('sub') ? currentDir : rootDir, reference.directory.text)];
+    }
+    return [rootDir];
+}
+
+// Resolves a reference from findPathReferences to a project file. Returns the
+// file, which base directory matched and the extension TeX had to add, or null.
+function resolveReference(reference, currentFile, rootFile, graphicsPaths, existingFiles) {
+    const bases = referenceBaseDirectories(reference, currentFile, rootFile, graphicsPaths);
+    for (let i = 0; i < bases.length; i++) {
+        const candidate = path.posix.normalize(path.posix.join(bases[i], reference.target.text));
+        if (candidate.startsWith('../')) continue;
+        for (const extension of ['', ...referenceExtensions(reference)]) {
+            if (existingFiles.has(candidate + extension)) {
+                return { path: candidate + extension, baseIndex: i, extension };
+            }
+        }
+    }
+    return null;
+}
+
+// Edits that make a resolved reference point at newPath, as seen from the
+// (possibly moved) currentFile and rootFile. Arguments that already resolve to
+// newPath are left alone.
+function retargetReference(reference, resolution, newPath, currentFile, rootFile, graphicsPaths = []) {
+    const withoutExtension = p => (resolution.extension ? p.slice(0, -resolution.extension.length) : p);
+    const edits = [];
+    const edit = (argument, text) => {
+        if (text !== argument.text) edits.push({ start: argument.start, end: argument.end, before: argument.text, after: text });
+    };
+
+    if (reference.directory) {
+        const parent = path.posix.dirname(reference.command.startsWith('sub') ? currentFile : rootFile);
+        const newDirectory = path.posix.dirname(newPath);
+        if (path.posix.join(parent, reference.directory.text, '.') !== newDirectory) {
+            const relative = path.posix.relative(parent, newDirectory);
+            edit(reference.directory, relative ? `${relative}${reference.directory.text.endsWith('/') ? '/' : ''}` : './');
+        }
+        edit(reference.target, withoutExtension(path.posix.basename(newPath)));
+        return edits;
+    }
+
+    const bases = referenceBaseDirectories(reference, currentFile, rootFile, graphicsPaths);
+    // Stay relative to the same \graphicspath entry while the file is still below it
+    let base = bases[resolution.baseIndex];
+    if (path.posix.relative(base, newPath).startsWith('../')) base = bases[0];
+    if (path.posix.join(base, reference.target.text) + resolution.extension !== newPath) {
+        edit(reference.target, withoutExtension(path.posix.relative(base, newPath)));
+    }
+    return edits;
+}
+
+// Float environments with their captions, labels and graphics. Offsets in the
+// result are relative to `content`.
+function findFloats(content) {
+    const masked = maskComments(content);
+    const floats = [];
+    const beginRegex = /\\begin\s*\{([a-zA-Z]+\*?)\}/g;
+    let match;
+    while ((match = beginRegex.exec(masked)) !== null) {
+        const environment = match[1];
+        if (!FLOAT_ENVIRONMENTS.has(environment.replace(/\*$/, ''))) continue;
+
+        // Find the matching \end, allowing the same environment to nest
+        const escaped = environment.replace('*', '\\*');
+        const boundary = new RegExp(`\\\\(begin|end)\\s*\\{${escaped}\\}`, 'g');
+        boundary.lastIndex = beginRegex.lastIndex;
+        let depth = 1;
+        let endIndex = content.length;
+        let bodyEnd = content.length;
+        let next;
+        while ((next = boundary.exec(masked)) !== null) {
+            depth += next[1] === 'begin' ? 1 : -1;
+            if (depth === 0) {
+                bodyEnd = next.index;
+                endIndex = boundary.lastIndex;
+                break;
+            }
+        }
+        const bodyStart = beginRegex.lastIndex;
+        const body = masked.substring(bodyStart, bodyEnd);
+
+        const captions = [];
+        const captionRegex = /\\caption\*?/g;
+        let caption;
+        while ((caption = captionRegex.exec(body)) !== null) {
+            const text = readGroup(body, skipOptionalArguments(body, captionRegex.lastIndex, 1), '{', '}');
+            if (text) captions.push(text.text.replace(/\s+/g, ' ').trim());
+        }
+        const labels = [...body.matchAll(/\\label\s*\{([^}]*)\}/g)].map(l => l[1].trim());
+
+        floats.push({
+            environment,
+            captions,
+            labels,
+            graphics: findGraphics(body).map(g => ({ ...g, index: g.index + bodyStart })),
+            index: match.index,
+            endIndex
+        });
+    }
+    return floats;
+}
+
+// The abstract environment's body, or the body of an "Abstract" section for
+// classes that use \section*{Abstract}. Returns null when there is neither.
+function findAbstract(content) {
+    const masked = maskComments(content);
+    const environment = /\\begin\s*\{abstract\}([\s\S]*?)\\end\s*\{abstract\}/.exec(masked);
+    if (environment) {
+        const start = environment.index + environment[0].indexOf(environment[1]);
+        return { text: content.substring(start, start + environment[1].length).trim(), index: environment.index };
+    }
+    const section = parseSections(content).find(s => /^abstract$/i.test(s.title));
+    return section ? { text: section.content, index: section.startIndex } : null;
+}
+
+function isRootDocument(content) {
+    const match = /\\documentclass\s*(?:\[[^\]]*\])?\s*\{([^}]*)\}/.exec(maskComments(content));
+    // Files using the subfiles class are compiled through their parent document
+    return Boolean(match) && match[1].trim() !== 'subfiles';
+}
+
+module.exports = {
+    maskComments,
+    lineOffsets,
+    lineFromOffsets,
+    tokenize,
+    parseSections,
+    buildOutlineTree,
+    findIncludes,
+    resolveIncludePath,
+    findCitations,
+    findReferences,
+    findGraphics,
+    findGraphicsPaths,
+    findFloats,
+    resolveGraphicsPath,
+    findPathReferences,
+    resolveReference,
+    retargetReference,
+    findAbstract,
+    isRootDocument
+};
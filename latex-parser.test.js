@@ -0,0 +1,313 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const {
+  maskComments,
+  lineOffsets,
+  lineFromOffsets,
+  parseSections,
+  buildOutlineTree,
+  findIncludes,
+  resolveIncludePath,
+  findCitations,
+  findReferences,
+  findGraphicsPaths,
+  findFloats,
+  resolveGraphicsPath,
+  findPathReferences,
+  resolveReference,
+  retargetReference,
+  findAbstract,
+  isRootDocument
+} = require('./latex-parser.js');
+
+describe('maskComments', () => {
+  it('blanks comments but keeps offsets and escaped percent signs', () => {
+    const source = 'a % note\n50\\% done % x\n\\\\% real comment';
+    const masked = maskComments(source);
+    assert.strictEqual(masked.length, source.length);
+    assert.strictEqual(masked, 'a       \n50\\% done    \n\\\\              ');
+  });
+});
+
+describe('lineFromOffsets', () => {
+  it('returns 1-based line numbers', () => {
+    const offsets = lineOffsets('a\nb\nc');
+    assert.deepStrictEqual(offsets, [0, 2, 4]);
+    assert.strictEqual(lineFromOffsets(offsets, 0), 1);
+    assert.strictEqual(lineFromOffsets(offsets, 1), 1);
+    assert.strictEqual(lineFromOffsets(offsets, 2), 2);
+    assert.strictEqual(lineFromOffsets(offsets, 4), 3);
+  });
+});
+
+describe('findIncludes', () => {
+  it('finds input, include, subfile and import commands', () => {
+    const includes = findIncludes([
+      '\\input{preamble}',
+      '\\include{chapters/intro}',
+      '\\subfile{sections/a.tex}',
+      '\\import{appendix/}{proofs}',
+      '\\input chapters/plain',
+      '\\includegraphics{fig.png}',
+      '% \\input{commented}'
+    ].join('\n'));
+    assert.deepStrictEqual(includes.map(i => [i.command, i.directory, i.target]), [
+      ['input', null, 'preamble'],
+      ['include', null, 'chapters/intro'],
+      ['subfile', null, 'sections/a.tex'],
+      ['import', 'appendix/', 'proofs'],
+      ['input', null, 'chapters/plain']
+    ]);
+  });
+});
+
+describe('findCitations', () => {
+  it('finds natbib and biblatex citations with notes and multiple keys', () => {
+    const citations = findCitations([
+      'As shown \\citep[see][p.~3]{smith2020, lee2019} and by \\Textcite{doe}.',
+      '\\autocites(pre)(post)[1]{a}[2]{b} then {not-a-key}',
+      '\\nocite{*} \\citestyle{plain}',
+      '% \\cite{commented}'
+    ].join('\n'));
+    assert.deepStrictEqual(citations.map(c => [c.command, c.keys]), [
+      ['citep', ['smith2020', 'lee2019']],
+      ['Textcite', ['doe']],
+      ['autocites', ['a', 'b']],
+      ['nocite', ['*']]
+    ]);
+  });
+});
+
+describe('findReferences', () => {
+  it('collects labels and ref, cref lists and crefrange keys outside comments', () => {
+    const { labels, references } = findReferences([
+      '\\section{Intro}\\label{sec:intro}',
+      'See \\cref{sec:intro,fig:plot}, \\eqref {eq:1} and \\Crefrange{a}{b}. % \\ref{hidden}',
+      '\\newcommand{\\fig}[1]{\\label{fig:#1}}'
+    ].join('\n'));
+    assert.deepStrictEqual(labels.map(l => l.name), ['sec:intro']);
+    assert.deepStrictEqual(references.map(r => [r.command, r.keys]), [
+      ['cref', ['sec:intro', 'fig:plot']],
+      ['eqref', ['eq:1']],
+      ['Crefrange', ['a', 'b']]
+    ]);
+  });
+});
+
+describe('findFloats', () => {
+  it('returns captions, labels and graphics of each float', () => {
+    const floats = findFloats([
+      '\\begin{figure*}[t]',
+      '  \\includegraphics[width=\\linewidth]{plots/loss}',
+      '  \\caption[Short]{Training {loss}',
+      '    over time}\\label{fig:loss}',
+      '\\end{figure*}',
+      '% \\begin{table}\\caption{commented}\\end{table}',
+      '\\begin{table}\\begin{tabular}{c}x\\end{tabular}\\end{table}'
+    ].join('\n'));
+    assert.deepStrictEqual(floats.map(f => [f.environment, f.captions, f.labels, f.graphics.map(g => g.target)]), [
+      ['figure*', ['Training {loss} over time'], ['fig:loss'], ['plots/loss']],
+      ['table', [], [], []]
+    ]);
+  });
+});
+
+describe('resolveGraphicsPath', () => {
+  const existing = new Set(['paper/figs/loss.pdf', 'paper/logo.png', 'paper/diagram.svg']);
+
+  it('searches the root directory and graphicspath, adding extensions', () => {
+    const paths = findGraphicsPaths('\\graphicspath{{figs/}{img/}}');
+    assert.deepStrictEqual(paths, ['figs/', 'img/']);
+    assert.strictEqual(resolveGraphicsPath({ command: 'includegraphics', target: 'loss' }, 'paper/main.tex', paths, existing), 'paper/figs/loss.pdf');
+    assert.strictEqual(resolveGraphicsPath({ command: 'includegraphics', target: 'logo.png' }, 'paper/main.tex', paths, existing), 'paper/logo.png');
+    assert.strictEqual(resolveGraphicsPath({ command: 'includesvg', target: 'diagram' }, 'paper/main.tex', paths, existing), 'paper/diagram.svg');
+    assert.strictEqual(resolveGraphicsPath({ command: 'includegraphics', target: 'absent' }, 'paper/main.tex', paths, existing), null);
+  });
+});
+
+describe('findPathReferences', () => {
+  it('finds file arguments with their offsets, skipping comments', () => {
+    const content = [
+      '\\input{chapters/intro}',
+      '\\subimport{sections/}{results}',
+      '\\includegraphics[width=\\linewidth]{ figs/loss }',
+      '% \\input{old}',
+      '\\bibliographystyle{plain}',
+      '\\bibliography{refs, extra}',
+      '\\addbibresource[label=main]{lit.bib}'
+    ].join('\n');
+    const references = findPathReferences(content);
+    assert.deepStrictEqual(references.map(r => [r.command, r.directory && r.directory.text, r.target.text]), [
+      ['input', null, 'chapters/intro'],
+      ['subimport', 'sections/', 'results'],
+      ['includegraphics', null, 'figs/loss'],
+      ['bibliography', null, 'refs'],
+      ['bibliography', null, 'extra'],
+      ['addbibresource', null, 'lit.bib']
+    ]);
+    for (const r of references) {
+      assert.strictEqual(content.substring(r.target.start, r.target.end), r.target.text);
+    }
+  });
+});
+
+describe('resolveReference and retargetReference', () => {
+  const existing = new Set(['main.tex', 'intro.tex', 'figs/loss.pdf', 'refs.bib', 'chapters/one.tex', 'chapters/sections/a.tex']);
+  const reference = content => findPathReferences(content)[0];
+
+  it('resolves against the right base directory, noting added extensions', () => {
+    assert.deepStrictEqual(resolveReference(reference('\\input{intro}'), 'main.tex', 'main.tex', [], existing), { path: 'intro.tex', baseIndex: 0, extension: '.tex' });
+    assert.deepStrictEqual(resolveReference(reference('\\includegraphics{loss}'), 'main.tex', 'main.tex', ['figs/'], existing), { path: 'figs/loss.pdf', baseIndex: 1, extension: '.pdf' });
+    assert.deepStrictEqual(resolveReference(reference('\\bibliography{refs}'), 'main.tex', 'main.tex', [], existing).path, 'refs.bib');
+    assert.deepStrictEqual(resolveReference(reference('\\subimport{sections/}{a}'), 'chapters/one.tex', 'main.tex', [], existing).path, 'chapters/sections/a.tex');
+    assert.strictEqual(resolveReference(reference('\\input{missing}'), 'main.tex', 'main.tex', [], existing), null);
+  });
+
+  it('points references at the new location, keeping omitted extensions omitted', () => {
+    const input = reference('\\input{intro}');
+    const resolution = resolveReference(input, 'main.tex', 'main.tex', [], existing);
+    assert.deepStrictEqual(retargetReference(input, resolution, 'chapters/intro.tex', 'main.tex', 'main.tex'), [
+      { start: 7, end: 12, before: 'intro', after: 'chapters/intro' }
+    ]);
+    assert.deepStrictEqual(retargetReference(input, resolution, 'intro.tex', 'main.tex', 'main.tex'), []);
+  });
+
+  it('stays relative to the graphicspath entry while the file is below it', () => {
+    const graphic = reference('\\includegraphics{loss}');
+    const resolution = resolveReference(graphic, 'main.tex', 'main.tex', ['figs/'], existing);
+    assert.strictEqual(retargetReference(graphic, resolution, 'figs/results/loss.pdf', 'main.tex', 'main.tex', ['figs/'])[0].after, 'results/loss');
+    assert.strictEqual(retargetReference(graphic, resolution, 'plots/loss.pdf', 'main.tex', 'main.tex', ['figs/'])[0].after, 'plots/loss');
+  });
+
+  it('rewrites both arguments of \\subimport relative to the moved including file', () => {
+    const subimport = reference('\\subimport{sections/}{a}');
+    const resolution = resolveReference(subimport, 'chapters/one.tex', 'main.tex', [], existing);
+    // Moving the whole chapters directory keeps the relative reference valid
+    assert.deepStrictEqual(retargetReference(subimport, resolution, 'parts/chapters/sections/a.tex', 'parts/chapters/one.tex', 'main.tex'), []);
+    assert.deepStrictEqual(
+      retargetReference(subimport, resolution, 'shared/a.tex', 'chapters/one.tex', 'main.tex').map(e => [e.before, e.after]),
+      [['sections/', '../shared/']]
+    );
+  });
+});
+
+describe('findAbstract', () => {
+  it('prefers the abstract environment and keeps comments in the text', () => {
+    const content = '\\begin{document}\n\\begin{abstract}\n  We study X. % cite later\n\\end{abstract}\n\\section{Abstract}\nOld.\n';
+    const abstract = findAbstract(content);
+    assert.strictEqual(abstract.text, 'We study X. % cite later');
+    assert.strictEqual(abstract.index, content.indexOf('\\begin{abstract}'));
+  });
+
+  it('falls back to an Abstract section and returns null when there is none', () => {
+    assert.strictEqual(findAbstract('\\section*{Abstract}\nShort.\n\\section{Intro}\nBody.\n').text, 'Short.');
+    assert.strictEqual(findAbstract('% \\begin{abstract}x\\end{abstract}\n\\section{Intro}\n'), null);
+  });
+});
+
+describe('resolveIncludePath', () => {
+  const files = new Set(['main.tex', 'chapters/intro.tex', 'chapters/parts/a.tex', 'appendix/proofs.tex']);
+
+  it('resolves \\input relative to the root and adds .tex', () => {
+    const [include] = findIncludes('\\input{chapters/intro}');
+    assert.strictEqual(resolveIncludePath(include, 'chapters/intro.tex', 'main.tex', files), 'chapters/intro.tex');
+  });
+
+  it('resolves \\subfile and \\subimport relative to the including file', () => {
+    const [subfile] = findIncludes('\\subfile{parts/a}');
+    assert.strictEqual(resolveIncludePath(subfile, 'chapters/intro.tex', 'main.tex', files), 'chapters/parts/a.tex');
+    const [subimport] = findIncludes('\\subimport{parts/}{a}');
+    assert.strictEqual(resolveIncludePath(subimport, 'chapters/intro.tex', 'main.tex', files), 'chapters/parts/a.tex');
+  });
+
+  it('returns null for missing or escaping targets', () => {
+    const [missing] = findIncludes('\\input{nope}');
+    assert.strictEqual(resolveIncludePath(missing, 'main.tex', 'main.tex', files), null);
+    const [escaping] = findIncludes('\\input{../outside}');
+    assert.strictEqual(resolveIncludePath(escaping, 'main.tex', 'main.tex', files), null);
+  });
+});
+
+describe('isRootDocument', () => {
+  it('detects \\documentclass but not subfiles or comments', () => {
+    assert.ok(isRootDocument('\\documentclass[11pt]{article}'));
+    assert.ok(!isRootDocument('\\documentclass[../main.tex]{subfiles}'));
+    assert.ok(!isRootDocument('% \\documentclass{article}'));
+  });
+});
+
+describe('parseSections', () => {
+  const source = [
+    '\\documentclass{book}',                               // 1
+    '\\begin{document}',                                   // 2
+    '\\chapter{The $\\mathcal{O}(n)$ bound}\\label{ch:bound}', // 3
+    'Chapter intro.',                                      // 4
+    '% \\section{Commented out}',                          // 5
+    '\\section[Short]{A much {longer} title}',             // 6
+    '\\label{sec:long}',                                   // 7
+    'Body with \\verb|\\section{no}| inline.',             // 8
+    '\\begin{verbatim}',                                   // 9
+    '\\section{Inside verbatim}',                          // 10
+    '\\end{verbatim}',                                     // 11
+    '\\subsection*{Starred}',                              // 12
+    'Text \\label{fig:not-a-heading-label}',              // 13
+    '\\chapter{Last}',                                     // 14
+    'Final words.',                                        // 15
+    '\\end{document}',                                     // 16
+    ''
+  ].join('\n');
+
+  it('handles nested braces, short titles, comments and verbatim', () => {
+    const sections = parseSections(source);
+    assert.deepStrictEqual(sections.map(s => [s.type, s.title, s.shortTitle, s.starred]), [
+      ['chapter', 'The $\\mathcal{O}(n)$ bound', null, false],
+      ['section', 'A much {longer} title', 'Short', false],
+      ['subsection', 'Starred', null, true],
+      ['chapter', 'Last', null, false]
+    ]);
+  });
+
+  it('attaches labels that directly follow or sit inside the heading', () => {
+    assert.deepStrictEqual(parseSections(source).map(s => s.label), ['ch:bound', 'sec:long', null, null]);
+  });
+
+  it('ends the heading after a label that follows the title', () => {
+    const sections = parseSections(source);
+    assert.ok(source.substring(sections[1].startIndex, sections[1].headingEnd).endsWith('title}\n\\label{sec:long}'));
+    assert.strictEqual(sections[2].headingEnd, sections[2].bodyStart);
+    const inside = parseSections('\\section{A \\label{sec:a}}\nBody.\n');
+    assert.strictEqual(inside[0].headingEnd, inside[0].bodyStart);
+  });
+
+  it('computes bodies and line ranges exactly', () => {
+    const sections = parseSections(source);
+    assert.strictEqual(sections[3].content, 'Final words.');
+    assert.strictEqual(sections[2].content, 'Text \\label{fig:not-a-heading-label}');
+    assert.deepStrictEqual(sections.map(s => [s.startLine, s.endLine]), [[3, 13], [6, 13], [12, 13], [14, 15]]);
+    assert.strictEqual(source.substring(sections[1].startIndex, sections[1].bodyStart), '\\section[Short]{A much {longer} title}');
+  });
+
+  it('marks headings after \\appendix', () => {
+    const sections = parseSections('\\section{A}\n\\appendix\n\\section{Proofs}\n');
+    assert.deepStrictEqual(sections.map(s => s.appendix), [false, true]);
+    assert.strictEqual(sections[0].content, '');
+  });
+});
+
+describe('buildOutlineTree', () => {
+  it('nests headings by level', () => {
+    const tree = buildOutlineTree(parseSections([
+      '\\chapter{One}',
+      '\\section{A}',
+      '\\subsection{A.1}',
+      '\\section{B}',
+      '\\chapter{Two}',
+      '\\subsection{Orphan}'
+    ].join('\n')));
+    const shape = nodes => nodes.map(n => [n.title, shape(n.children)]);
+    assert.deepStrictEqual(shape(tree), [
+      ['One', [['A', [['A.1', []]]], ['B', []]]],
+      ['Two', [['Orphan', []]]]
+    ]);
+  });
+});
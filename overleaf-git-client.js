@@ -4,30 +4,181 @@ const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
 const { promisify } = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { parsePatch, applyFilePatch } = require('./unified-diff.js');
+const { matchesGlob } = require('./path-glob.js');
+const { parseLatexLog } = require('./latex-log.js');
+const { withProjectLock } = require('./project-lock.js');
+const { parseBibtex, formatEntry, formatBibtex, getField } = require('./bibtex.js');
+const { parseSections, buildOutlineTree, lineOffsets, lineFromOffsets, findIncludes, resolveIncludePath, findCitations, findReferences, findGraphics, findGraphicsPaths, findFloats, resolveGraphicsPath, findPathReferences, resolveReference, retargetReference, findAbstract, isRootDocument } = require('./latex-parser.js');
 const execFileAsync = promisify(execFile);
+// Local path of the project whose lock the current operation holds
+const lockHolder = new AsyncLocalStorage();
+
+const COMPILERS = ['latexmk', 'pdflatex', 'xelatex', 'lualatex'];
+const LATEXMK_ENGINE_FLAGS = { pdflatex: '-pdf', xelatex: '-pdfxe', lualatex: '-pdflua' };
+// Letters from `git status --porcelain`
+const CHANGE_TYPES = { M: 'modified', A: 'added', D: 'deleted', R: 'renamed', C: 'copied', T: 'type changed', U: 'unmerged', '?': 'untracked' };
+const MIME_TYPES = {
+    '.tex': 'text/x-tex',
+    '.sty': 'text/x-tex',
+    '.cls': 'text/x-tex',
+    '.bib': 'text/x-bibtex',
+    '.txt': 'text/plain',
+    '.md': 'text/markdown',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.pdf': 'application/pdf',
+    '.eps': 'application/postscript',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.zip': 'application/zip'
+};
+
+// Local remotes (bare repos, file:// URLs) are mainly for testing and need no token
+function isLocalRemote(remoteUrl) {
+    return Boolean(remoteUrl) && (remoteUrl.startsWith('file://') || path.isAbsolute(remoteUrl));
+}
+
+function validateRemoteUrl(remoteUrl) {
+    if (typeof remoteUrl !== 'string' || /[\s\0]/.test(remoteUrl)) {
+        throw new Error('remoteUrl must be a URL or absolute path without whitespace');
+    }
+    if (path.isAbsolute(remoteUrl)) {
+        return remoteUrl;
+    }
+    let url;
+    try {
+        url = new URL(remoteUrl);
+    } catch {
+        throw new Error('remoteUrl must be an https://, http:// or file:// URL, or an absolute path');
+    }
+    // Other transports (ext::, ssh with custom commands, ...) can run arbitrary programs
+    if (!['https:', 'http:', 'file:'].includes(url.protocol)) {
+        throw new Error('remoteUrl must be an https://, http:// or file:// URL, or an absolute path');
+    }
+    if (url.password) {
+        throw new Error('remoteUrl must not embed a password; use gitToken instead');
+    }
+    return remoteUrl;
+}
 
 class OverleafGitClient {
-    constructor(gitToken, projectId, tempDir = null) {
+    constructor(gitToken, projectId, tempDir = null, {
+        remoteUrl = null,
+        gitHost = null,
+        gitUsername = null,
+        rootFile = null,
+        compiler = 'latexmk',
+        latexEngine = 'pdflatex',
+        latexmkrc = false,
+        onPull = null,
+        pullInterval = 0,
+        lockTimeout = 150000,
+        authorName = null,
+        authorEmail = null
+    } = {}) {
         if (!/^[a-zA-Z0-9_-]+$/.test(projectId)) {
             throw new Error('projectId must be alphanumeric (with hyphens/underscores)');
         }
-        if (!/^[a-zA-Z0-9_-]+$/.test(gitToken)) {
+        if (remoteUrl) {
+            validateRemoteUrl(remoteUrl);
+        }
+        if (gitHost && !/^[a-zA-Z0-9.-]+(:\d+)?$/.test(gitHost)) {
+            throw new Error('gitHost must be a hostname with an optional port (e.g., overleaf.example.edu:8443)');
+        }
+        if (gitUsername && !/^[a-zA-Z0-9._-]+$/.test(gitUsername)) {
+            throw new Error('gitUsername must be alphanumeric (with dots, hyphens/underscores)');
+        }
+        if (rootFile && (path.isAbsolute(rootFile) || rootFile.includes('..'))) {
+            throw new Error('rootFile must be relative and cannot contain ".."');
+        }
+        if (!COMPILERS.includes(compiler)) {
+            throw new Error(`compiler must be one of: ${COMPILERS.join(', ')}`);
+        }
+        if (!Number.isFinite(pullInterval) || pullInterval < 0) {
+            throw new Error('pullInterval must be a non-negative number of milliseconds');
+        }
+        if (!Number.isFinite(lockTimeout) || lockTimeout <= 0) {
+            throw new Error('lockTimeout must be a positive number of milliseconds');
+        }
+        if (authorName !== null && (typeof authorName !== 'string' || !authorName.trim() || /[<>\r\n]/.test(authorName))) {
+            throw new Error('authorName must be a non-empty name without "<", ">" or line breaks');
+        }
+        if (authorEmail !== null && (typeof authorEmail !== 'string' || !/^[^\s<>@]+@[^\s<>@]+$/.test(authorEmail))) {
+            throw new Error('authorEmail must be an email address');
+        }
+        if (typeof latexmkrc !== 'boolean') {
+            throw new Error('latexmkrc must be true or false');
+        }
+        if (!LATEXMK_ENGINE_FLAGS[latexEngine]) {
+            throw new Error(`latexEngine must be one of: ${Object.keys(LATEXMK_ENGINE_FLAGS).join(', ')}`);
+        }
+        const tokenOptional = isLocalRemote(remoteUrl) && !gitToken;
+        if (!tokenOptional && (typeof gitToken !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(gitToken))) {
             throw new Error('gitToken must be alphanumeric (with hyphens/underscores)');
         }
-        this.gitToken = gitToken;
+        this.gitToken = gitToken || null;
         this.projectId = projectId;
+        this.rootFile = rootFile;
+        this.compiler = compiler;
+        this.latexEngine = latexEngine;
+        this.latexmkrc = latexmkrc;
+        this.remoteUrl = this._buildRemoteUrl(remoteUrl, gitHost || 'git.overleaf.com', gitUsername || 'git');
         // Use OS temp directory if not specified, with absolute path
         this.tempDir = tempDir || path.join(os.tmpdir(), 'overleaf-mcp');
         this.localPath = path.join(this.tempDir, projectId);
         this._askPassScript = null;
+        this.lastPull = null;
+        this.lastPullTime = null;
+        // Called with the pull result whenever a pull brings in upstream changes
+        this.onPull = onPull;
+        // Operations within this many milliseconds of the last pull reuse the local copy
+        this.pullInterval = pullInterval;
+        // How long an operation waits for another one on the same project to finish
+        this.lockTimeout = lockTimeout;
+        // Identity for commits made by this client, instead of the host's git config
+        this.authorName = authorName;
+        this.authorEmail = authorEmail;
+    }
+
+    // Runs fn while holding this project's lock. Calls made from inside an
+    // operation (readFile from replaceSection, ...) are already covered.
+    async _withLock(fn) {
+        if (lockHolder.getStore() === this.localPath) {
+            return await fn();
+        }
+        // Queue before any await so callers get their turn in call order
+        return await withProjectLock(`${this.localPath}.lock`, () => lockHolder.run(this.localPath, fn), {
+            timeout: this.lockTimeout,
+            label: `project ${this.projectId}`
+        });
+    }
+
+    _buildRemoteUrl(remoteUrl, gitHost, gitUsername) {
+        if (!remoteUrl) {
+            // Username goes in the URL; the token is supplied via GIT_ASKPASS
+            return `https://${gitUsername}@${gitHost}/${this.projectId}`;
+        }
+        if (isLocalRemote(remoteUrl)) {
+            return remoteUrl;
+        }
+        const url = new URL(remoteUrl);
+        if (!url.username) url.username = gitUsername;
+        return url.toString();
     }
 
     async _createAskPassScript() {
         if (this._askPassScript) return this._askPassScript;
         const scriptPath = path.join(this.tempDir, `askpass-${this.projectId}-${crypto.randomUUID()}.sh`);
         // The script prints the token on stdout when git asks for a password.
-        // Username is always "git" for Overleaf, so we only need to supply the password.
-        await fs.writeFile(scriptPath, `#!/bin/sh\necho '${this.gitToken}'\n`, { mode: 0o700 });
+        // The username is part of the remote URL, so we only need to supply the password.
+        await fs.writeFile(scriptPath, `#!/bin/sh\necho '${this.gitToken || ''}'\n`, { mode: 0o700 });
         this._askPassScript = scriptPath;
         return scriptPath;
     }
@@ -43,27 +194,43 @@ class OverleafGitClient {
         const askPass = await this._createAskPassScript();
         return {
             ...process.env,
+            ...this._identityEnv(),
             GIT_TERMINAL_PROMPT: '0',
             GIT_ASKPASS: askPass,
-            // Overleaf expects username "git", supply via env so the URL stays token-free
-            GIT_USERNAME: 'git',
         };
     }
 
+    // Used as both author and committer so commits work without a global git identity
+    _identityEnv() {
+        const env = {};
+        if (this.authorName) {
+            env.GIT_AUTHOR_NAME = this.authorName;
+            env.GIT_COMMITTER_NAME = this.authorName;
+        }
+        if (this.authorEmail) {
+            env.GIT_AUTHOR_EMAIL = this.authorEmail;
+            env.GIT_COMMITTER_EMAIL = this.authorEmail;
+        }
+        return env;
+    }
+
     _redactError(error) {
         if (this.gitToken && error.message) {
             error.message = error.message.replaceAll(this.gitToken, '[REDACTED]');
         }
-        if (error.stderr) {
+        if (this.gitToken && error.stderr) {
             error.stderr = error.stderr.replaceAll(this.gitToken, '[REDACTED]');
         }
-        if (error.stdout) {
+        if (this.gitToken && error.stdout) {
             error.stdout = error.stdout.replaceAll(this.gitToken, '[REDACTED]');
         }
         return error;
     }
 
-    async cloneOrPull() {
+    async cloneOrPull({ force = false } = {}) {
+        if (!force && this.lastPullTime !== null && Date.now() - this.lastPullTime < this.pullInterval) {
+            return this.lastPull;
+        }
         // Ensure temp directory exists with proper permissions
         await fs.mkdir(this.tempDir, { recursive: true, mode: 0o755 });
         const env = await this._gitEnv();
@@ -77,25 +244,190 @@ class OverleafGitClient {
             } catch {}
 
             if (exists) {
-                // Pull latest changes
-                await execFileAsync('git', ['pull'], {
-                    cwd: this.localPath,
-                    env
-                });
+                // Follow remoteUrl changes in projects.json for existing clones
+                const origin = (await this._runGit(['remote', 'get-url', 'origin'])).trim();
+                if (origin !== this.remoteUrl) {
+                    await this._runGit(['remote', 'set-url', 'origin', this.remoteUrl]);
+                }
+                // Pull latest changes without ever discarding local work
+                this.lastPull = await this._pull(env);
+                if (this.onPull && this.lastPull.changedFiles && this.lastPull.changedFiles.length > 0) {
+                    this.onPull(this.lastPull);
+                }
             } else {
                 // Clone with username in URL; password supplied via GIT_ASKPASS
-                const cloneUrl = `https://git@git.overleaf.com/${this.projectId}`;
-                await execFileAsync('git', ['clone', cloneUrl, this.localPath], {
+                await execFileAsync('git', ['clone', '--', this.remoteUrl, this.localPath], {
                     env
                 });
+                this.lastPull = { action: 'cloned' };
             }
+            this.lastPullTime = Date.now();
+            return this.lastPull;
         } catch (error) {
+            // Pull again next time, so a conflict keeps blocking until it is resolved
+            this.lastPullTime = null;
             throw this._redactError(error);
         } finally {
             await this._cleanupAskPassScript();
         }
     }
 
+    async _conflictedFiles() {
+        const stdout = await this._runGit(['diff', '--name-only', '--diff-filter=U']);
+        return stdout.split('\n').filter(Boolean);
+    }
+
+    async _mergeInProgress() {
+        try {
+            await this._runGit(['rev-parse', '-q', '--verify', 'MERGE_HEAD']);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    _conflictError(files) {
+        return new Error(
+            `Merge conflict in ${files.length} file(s): ${files.join(', ')}. ` +
+            'Use get_conflicts to inspect both sides, resolve_conflict for each file, then finish_merge (or abort_merge).'
+        );
+    }
+
+    async _changedFilesSince(revision, { addedOrDeleted = false } = {}) {
+        const filter = addedOrDeleted ? ['--diff-filter=ADR'] : [];
+        const stdout = await this._runGit(['diff', '--name-only', ...filter, revision, 'HEAD']);
+        return stdout.split('\n').filter(Boolean);
+    }
+
+    async _pullSummary(before, ahead, behind, action) {
+        return {
+            action,
+            ahead,
+            behind,
+            changedFiles: await this._changedFilesSince(before),
+            // Lets callers tell whether the file list itself changed
+            filesAddedOrRemoved: (await this._changedFilesSince(before, { addedOrDeleted: true })).length > 0
+        };
+    }
+
+    async _pull(env) {
+        if (await this._mergeInProgress()) {
+            const conflicts = await this._conflictedFiles();
+            if (conflicts.length > 0) throw this._conflictError(conflicts);
+            throw new Error('A merge is in progress with all conflicts resolved. Use finish_merge (or abort_merge) before continuing.');
+        }
+
+        await this._runGit(['fetch'], { env, timeout: 60000 });
+        let counts;
+        try {
+            counts = await this._runGit(['rev-list', '--left-right', '--count', 'HEAD...@{u}']);
+        } catch {
+            return { action: 'skipped', message: 'No upstream branch configured' };
+        }
+        const [ahead, behind] = counts.trim().split(/\s+/).map(Number);
+        if (behind === 0) {
+            return { action: 'up-to-date', ahead, behind };
+        }
+        const before = (await this._runGit(['rev-parse', 'HEAD'])).trim();
+
+        if (ahead === 0) {
+            try {
+                // git refuses (without touching anything) if this would overwrite local edits
+                await this._runGit(['merge', '--ff-only', '@{u}']);
+                return await this._pullSummary(before, ahead, behind, 'fast-forward');
+            } catch (error) {
+                return {
+                    action: 'skipped',
+                    ahead,
+                    behind,
+                    message: `Upstream changes were not pulled because they touch files with uncommitted local edits (${(error.stderr || error.message).trim()}). Commit or discard those edits, then pull again.`
+                };
+            }
+        }
+
+        const dirty = await this._runGit(['status', '--porcelain', '--untracked-files=no']);
+        if (dirty.trim()) {
+            return {
+                action: 'skipped',
+                ahead,
+                behind,
+                message: 'Local commits and Overleaf have diverged and there are uncommitted changes. Commit them so the two histories can be merged.'
+            };
+        }
+
+        try {
+            await this._runGit(['merge', '--no-edit', '@{u}'], { env });
+            return await this._pullSummary(before, ahead, behind, 'merged');
+        } catch (error) {
+            const conflicts = await this._conflictedFiles();
+            if (conflicts.length === 0) {
+                await this._runGit(['merge', '--abort']).catch(() => {});
+                throw error;
+            }
+            throw this._conflictError(conflicts);
+        }
+    }
+
+    async getConflicts() {
+        const files = await this._conflictedFiles();
+        const showStage = (stage, file) => this._runGit(['show', `:${stage}:${file}`]).catch(() => null);
+        const conflicts = [];
+        for (const file of files) {
+            conflicts.push({
+                file,
+                base: await showStage(1, file),
+                ours: await showStage(2, file),
+                theirs: await showStage(3, file),
+                working: await fs.readFile(this._resolveInRepo(file), 'utf8').catch(() => null)
+            });
+        }
+        return { mergeInProgress: await this._mergeInProgress(), conflicts };
+    }
+
+    async resolveConflict(filePath, resolution, content = null) {
+        const conflicts = await this._conflictedFiles();
+        if (!conflicts.includes(filePath)) {
+            throw new Error(`"${filePath}" has no unresolved merge conflict`);
+        }
+        const fullPath = this._resolveInRepo(filePath);
+        if (resolution === 'manual') {
+            if (typeof content !== 'string') {
+                throw new Error('content must be provided for a manual resolution');
+            }
+            await fs.writeFile(fullPath, content, 'utf8');
+        } else if (resolution === 'ours' || resolution === 'theirs') {
+            try {
+                await this._runGit(['checkout', `--${resolution}`, '--', filePath]);
+            } catch {
+                // That side deleted the file, so resolving to it means deleting it
+                await this._runGit(['rm', '-q', '--', filePath]);
+                return;
+            }
+        } else {
+            throw new Error('resolution must be "ours", "theirs" or "manual"');
+        }
+        await this._runGit(['add', '--', filePath]);
+    }
+
+    async finishMerge(message = null) {
+        if (!(await this._mergeInProgress())) {
+            throw new Error('No merge in progress');
+        }
+        const conflicts = await this._conflictedFiles();
+        if (conflicts.length > 0) {
+            throw new Error(`Cannot finish merge: unresolved conflicts in ${conflicts.join(', ')}`);
+        }
+        const args = message ? ['commit', '-m', message] : ['commit', '--no-edit'];
+        return await this._runGit(args, { timeout: 30000 });
+    }
+
+    async abortMerge() {
+        if (!(await this._mergeInProgress())) {
+            throw new Error('No merge in progress');
+        }
+        await this._runGit(['merge', '--abort']);
+    }
+
     async listFiles(extension = '.tex') {
         await this.cloneOrPull();
         
@@ -123,39 +455,295 @@ class OverleafGitClient {
         return await fs.readFile(fullPath, 'utf8');
     }
 
+    async readBinaryFile(filePath, { maxSize = null } = {}) {
+        await this.cloneOrPull();
+        const fullPath = this._resolveInRepo(filePath);
+        // Check the size before the file is loaded into memory
+        const { size } = await fs.stat(fullPath);
+        if (maxSize !== null && size > maxSize) {
+            throw new Error(`${filePath} is ${size} bytes, larger than the ${maxSize} byte limit`);
+        }
+        const buffer = await fs.readFile(fullPath);
+        return { buffer, size: buffer.length, mimeType: this.getMimeType(filePath) };
+    }
+
+    getMimeType(filePath) {
+        return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    }
+
+    async writeBinaryFile(filePath, buffer) {
+        await this.cloneOrPull();
+        const fullPath = this._resolveInRepo(filePath);
+        await fs.mkdir(path.dirname(fullPath), { recursive: true });
+        await fs.writeFile(fullPath, buffer);
+        return fullPath;
+    }
+
+    async _listTextFiles({ extensions = null, glob = null } = {}) {
+        const files = (await this.listFiles('')).filter(f =>
+            (!extensions || extensions.length === 0 || extensions.some(ext => f.endsWith(ext))) &&
+            (!glob || matchesGlob(f, glob))
+        );
+        const textFiles = [];
+        for (const file of files) {
+            const buffer = await fs.readFile(path.join(this.localPath, file));
+            // Skip images, PDFs and other binaries
+            if (buffer.includes(0)) continue;
+            textFiles.push({ file, content: buffer.toString('utf8') });
+        }
+        return textFiles;
+    }
+
+    _buildSearchRegex(query, { regex = false, caseSensitive = false } = {}) {
+        if (!query) {
+            throw new Error('query must be a non-empty string');
+        }
+        const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        try {
+            return new RegExp(source, caseSensitive ? 'g' : 'gi');
+        } catch (error) {
+            throw new Error(`Invalid regular expression: ${error.message}`);
+        }
+    }
+
+    async searchProject(query, options = {}) {
+        const { contextLines = 0, maxResults = 200 } = options;
+        const pattern = this._buildSearchRegex(query, options);
+        const files = await this._listTextFiles(options);
+
+        const matches = [];
+        let truncated = false;
+        for (const { file, content } of files) {
+            const lines = content.split('\n');
+            for (let i = 0; i < lines.length; i++) {
+                pattern.lastIndex = 0;
+                const match = pattern.exec(lines[i]);
+                if (!match) continue;
+                if (matches.length >= maxResults) {
+                    truncated = true;
+                    break;
+                }
+                matches.push({
+                    file,
+                    line: i + 1,
+                    column: match.index + 1,
+                    text: lines[i],
+                    before: lines.slice(Math.max(0, i - contextLines), i),
+                    after: lines.slice(i + 1, i + 1 + contextLines)
+                });
+            }
+            if (truncated) break;
+        }
+
+        return { matches, filesSearched: files.length, truncated };
+    }
+
+    async replaceInProject(query, replacement, options = {}) {
+        const { regex = false, dryRun = true } = options;
+        if (typeof replacement !== 'string') {
+            throw new Error('replacement must be a string');
+        }
+        const pattern = this._buildSearchRegex(query, { caseSensitive: true, ...options });
+        const files = await this._listTextFiles(options);
+
+        const changes = [];
+        for (const { file, content } of files) {
+            const lines = content.split('\n');
+            const preview = [];
+            let count = 0;
+            const updated = lines.map((line, i) => {
+                const found = line.match(pattern);
+                if (!found) return line;
+                count += found.length;
+                // Literal mode must not expand "$1"/"$&" in the replacement
+                const next = regex ? line.replace(pattern, replacement) : line.replace(pattern, () => replacement);
+                if (next !== line) {
+                    preview.push({ line: i + 1, before: line, after: next });
+                }
+                return next;
+            });
+            if (count === 0) continue;
+            const newContent = updated.join('\n');
+            changes.push({ file, count, preview, size: Buffer.byteLength(newContent, 'utf8'), content: newContent });
+        }
+
+        if (!dryRun) {
+            for (const change of changes) {
+                await fs.writeFile(path.join(this.localPath, change.file), change.content, 'utf8');
+            }
+        }
+
+        return {
+            applied: !dryRun,
+            filesSearched: files.length,
+            totalReplacements: changes.reduce((sum, c) => sum + c.count, 0),
+            files: changes.map(({ content, ...rest }) => rest)
+        };
+    }
+
     async getSections(filePath) {
         const content = await this.readFile(filePath);
-        
-        const sections = [];
-        const sectionRegex = /\\(part|chapter|section|subsection|subsubsection|paragraph|subparagraph)\*?\{([^}]+)\}/g;
-        
-        let match;
-        let lastIndex = 0;
-        
-        while ((match = sectionRegex.exec(content)) !== null) {
-            const type = match[1];
-            const title = match[2];
-            const startIndex = match.index;
-            
-            if (sections.length > 0) {
-                sections[sections.length - 1].content = content.substring(lastIndex + match[0].length, startIndex).trim();
+        return parseSections(content);
+    }
+
+    async _detectRootFile(existingFiles) {
+        const candidates = [...existingFiles].filter(f => f.endsWith('.tex'));
+        const roots = [];
+        for (const file of candidates) {
+            const content = await fs.readFile(path.join(this.localPath, file), 'utf8');
+            if (isRootDocument(content)) roots.push(file);
+        }
+        if (roots.length === 0) {
+            throw new Error('No root document (a .tex file with \\documentclass) found; set rootFile in projects.json');
+        }
+        // Prefer main.tex, then the shallowest path
+        roots.sort((a, b) =>
+            (path.basename(b) === 'main.tex') - (path.basename(a) === 'main.tex') ||
+            a.split('/').length - b.split('/').length ||
+            a.localeCompare(b)
+        );
+        return roots[0];
+    }
+
+    async resolveDocument(rootFile = null) {
+        const existingFiles = new Set((await this.listFiles('')).map(f => f.split(path.sep).join('/')));
+        const root = rootFile || this.rootFile || await this._detectRootFile(existingFiles);
+        if (!existingFiles.has(root)) {
+            throw new Error(`Root file "${root}" not found in project`);
+        }
+
+        const files = [];
+        const missing = [];
+        const outline = [];
+        const visited = new Set();
+
+        const visit = async (file, includedFrom) => {
+            if (visited.has(file)) return;
+            visited.add(file);
+            const content = await fs.readFile(path.join(this.localPath, file), 'utf8');
+            files.push({ file, includedFrom });
+            const offsets = lineOffsets(content);
+
+            // Interleave headings with included files so the outline follows document order
+            const sections = parseSections(content).map(s => ({ ...s, file, line: s.startLine }));
+            let next = 0;
+            for (const include of findIncludes(content)) {
+                while (next < sections.length && sections[next].startIndex < include.index) {
+                    outline.push(sections[next++]);
+                }
+                const from = { file, line: lineFromOffsets(offsets, include.index), command: include.command };
+                const target = resolveIncludePath(include, file, root, existingFiles);
+                if (target) {
+                    await visit(target, from);
+                } else {
+                    missing.push({ ...from, target: include.target });
+                }
             }
-            
-            sections.push({
-                type,
-                title,
-                startIndex,
-                content: ''
-            });
-            
-            lastIndex = startIndex;
+            outline.push(...sections.slice(next));
+        };
+
+        await visit(root, null);
+        return { root, files, missing, outline };
+    }
+
+    async getOutline(filePath = null, rootFile = null) {
+        if (filePath) {
+            return buildOutlineTree(await this.getSections(filePath));
         }
-        
-        if (sections.length > 0) {
-            sections[sections.length - 1].content = content.substring(lastIndex + sections[sections.length - 1].title.length + 3).trim();
+        const document = await this.resolveDocument(rootFile);
+        return buildOutlineTree(document.outline);
+    }
+
+    async getAbstract(filePath = null) {
+        const files = filePath ? [filePath] : (await this.resolveDocument()).files.map(f => f.file);
+        for (const file of files) {
+            const content = await this.readFile(file);
+            const abstract = findAbstract(content);
+            if (abstract) {
+                return { file, line: lineFromOffsets(lineOffsets(content), abstract.index), text: abstract.text };
+            }
         }
-        
-        return sections;
+        return null;
+    }
+
+    // The root goes on the compiler's command line, so it must be a real source file and never look like an option
+    async _validateRootFile(root) {
+        this._resolveInRepo(root);
+        if (!root.endsWith('.tex') || path.basename(root).startsWith('-')) {
+            throw new Error(`rootFile must be a .tex file whose name does not start with "-" (got "${root}")`);
+        }
+        try {
+            await this._runGit(['ls-files', '--error-unmatch', '--', root]);
+        } catch {
+            throw new Error(`rootFile '${root}' is not a tracked file in the project`);
+        }
+    }
+
+    async compile({ rootFile = null, compiler = this.compiler, timeout = 120000 } = {}) {
+        if (!COMPILERS.includes(compiler)) {
+            throw new Error(`compiler must be one of: ${COMPILERS.join(', ')}`);
+        }
+        const files = await this.listFiles('');
+        const root = rootFile || this.rootFile || await this._detectRootFile(new Set(files));
+        await this._validateRootFile(root);
+
+        // Build outside the clone so aux files and PDFs never end up in a commit
+        const outDir = path.join(this.tempDir, `build-${this.projectId}`);
+        const rootDir = path.dirname(path.join(this.localPath, root));
+        // \include writes .aux files next to each chapter, so mirror the directory tree
+        for (const dir of new Set(files.map(f => path.dirname(f)))) {
+            await fs.mkdir(path.join(outDir, dir), { recursive: true });
+        }
+        const buildDir = path.join(outDir, path.dirname(root));
+
+        const common = ['-interaction=nonstopmode', '-file-line-error'];
+        // latexmkrc files are Perl, and anyone with access to the project can commit one
+        const rcFlags = this.latexmkrc ? [] : ['-norc'];
+        const args = compiler === 'latexmk'
+            ? [...rcFlags, LATEXMK_ENGINE_FLAGS[this.latexEngine], '-f', ...common, `-outdir=${buildDir}`, `./${path.basename(root)}`]
+            : [...common, `-output-directory=${buildDir}`, `./${path.basename(root)}`];
+
+        let exitCode = 0;
+        let output = '';
+        try {
+            const result = await execFileAsync(compiler, args, {
+                cwd: rootDir,
+                // Stop TeX from wrapping log lines at 79 characters
+                env: { ...process.env, max_print_line: '10000' },
+                timeout,
+                maxBuffer: 20 * 1024 * 1024
+            });
+            output = result.stdout;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`${compiler} is not installed or not on PATH`);
+            }
+            if (error.killed) {
+                throw new Error(`Compilation timeout after ${timeout / 1000}s`);
+            }
+            exitCode = typeof error.code === 'number' ? error.code : 1;
+            output = error.stdout || '';
+        }
+
+        const jobName = path.basename(root, '.tex');
+        const log = await fs.readFile(path.join(buildDir, `${jobName}.log`), 'utf8').catch(() => output);
+        // Paths in the log are relative to the root's directory; report them relative to the project
+        const toProjectPath = file => file && !path.isAbsolute(file)
+            ? path.posix.normalize(path.posix.join(path.posix.dirname(root), file))
+            : file;
+        const { errors, warnings } = parseLatexLog(log);
+        const pdfPath = path.join(buildDir, `${jobName}.pdf`);
+        const pdfExists = await fs.access(pdfPath).then(() => true, () => false);
+
+        return {
+            success: exitCode === 0 && errors.length === 0,
+            compiler,
+            root,
+            exitCode,
+            pdfPath: pdfExists ? pdfPath : null,
+            errors: errors.map(e => ({ ...e, file: toProjectPath(e.file) })),
+            warnings: warnings.map(w => ({ ...w, file: toProjectPath(w.file) }))
+        };
     }
 
     async getSection(filePath, sectionTitle) {
@@ -168,6 +756,258 @@ class OverleafGitClient {
         return sections.filter(s => s.type === type);
     }
 
+    async _findUniqueSection(filePath, sectionTitle) {
+        const sections = await this.getSections(filePath);
+        const matches = sections.filter(s => s.title === sectionTitle);
+        if (matches.length === 0) {
+            throw new Error(`Section "${sectionTitle}" not found in ${filePath}`);
+        }
+        if (matches.length > 1) {
+            throw new Error(`Section title "${sectionTitle}" is ambiguous in ${filePath} (${matches.length} matches)`);
+        }
+        return matches[0];
+    }
+
+    async _spliceFile(filePath, start, end, replacement) {
+        const content = await this.readFile(filePath);
+        const updated = content.substring(0, start) + replacement + content.substring(end);
+        await this.writeFile(filePath, updated);
+        return updated;
+    }
+
+    async replaceSection(filePath, sectionTitle, newContent, { append = false } = {}) {
+        const section = await this._findUniqueSection(filePath, sectionTitle);
+        const existing = (await this.readFile(filePath)).substring(section.headingEnd, section.endIndex).trim();
+        const body = append
+            ? `${existing}\n\n${newContent.trim()}`.trim()
+            : newContent.trim();
+        // Keep the heading line and its \label untouched and leave a blank line before the next heading
+        await this._spliceFile(filePath, section.headingEnd, section.endIndex, `\n${body}\n\n`);
+        return section;
+    }
+
+    async insertSection(filePath, anchorTitle, sectionContent, position = 'after') {
+        if (position !== 'before' && position !== 'after') {
+            throw new Error('position must be "before" or "after"');
+        }
+        const anchor = await this._findUniqueSection(filePath, anchorTitle);
+        // After the anchor's subsections, so they stay under the anchor
+        const at = position === 'before' ? anchor.startIndex : anchor.sectionEndIndex;
+        await this._spliceFile(filePath, at, at, `${sectionContent.trim()}\n\n`);
+        return anchor;
+    }
+
+    async deleteSection(filePath, sectionTitle) {
+        const section = await this._findUniqueSection(filePath, sectionTitle);
+        // Subsections go with their section rather than falling under the previous one
+        await this._spliceFile(filePath, section.startIndex, section.sectionEndIndex, '');
+        return section;
+    }
+
+    async _readBibFiles(filePath = null) {
+        const files = filePath ? [filePath] : (await this.listFiles('.bib')).sort();
+        const result = [];
+        for (const file of files) {
+            const content = await this.readFile(file);
+            result.push({ file, content, ...parseBibtex(content) });
+        }
+        return result;
+    }
+
+    async getBibEntries(filePath = null) {
+        const bibFiles = await this._readBibFiles(filePath);
+        return {
+            entries: bibFiles.flatMap(b => b.entries.map(e => ({ ...e, file: b.file }))),
+            errors: bibFiles.flatMap(b => b.errors.map(e => ({ ...e, file: b.file })))
+        };
+    }
+
+    async getBibEntry(key) {
+        const { entries } = await this.getBibEntries();
+        // Citation keys are case-insensitive in BibTeX
+        return entries.find(e => e.key.toLowerCase() === key.toLowerCase()) || null;
+    }
+
+    async upsertBibEntry(filePath, entryText, { replace = false } = {}) {
+        if (!filePath.endsWith('.bib')) {
+            throw new Error(`Bibliography file must end in .bib: ${filePath}`);
+        }
+        const parsed = parseBibtex(entryText);
+        if (parsed.errors.length > 0) {
+            throw new Error(`Invalid BibTeX entry: ${parsed.errors[0].message}`);
+        }
+        if (parsed.entries.length !== 1) {
+            throw new Error(`Expected exactly one BibTeX entry, found ${parsed.entries.length}`);
+        }
+        const entry = parsed.entries[0];
+        const formatted = formatEntry(entry);
+
+        const existing = await this.getBibEntry(entry.key);
+        if (existing && !replace) {
+            throw new Error(`Citation key "${entry.key}" already exists in ${existing.file} (line ${existing.line}); set replace to overwrite it`);
+        }
+        if (existing) {
+            await this._spliceFile(existing.file, existing.startIndex, existing.endIndex, formatted);
+            return { key: entry.key, file: existing.file, action: 'replaced' };
+        }
+
+        const current = await fs.readFile(this._resolveInRepo(filePath), 'utf8').catch(() => '');
+        const prefix = current.trim() ? `${current.trimEnd()}\n\n` : '';
+        await this.writeFile(filePath, `${prefix}${formatted}\n`);
+        return { key: entry.key, file: filePath, action: 'added' };
+    }
+
+    async formatBibFile(filePath, { sort = false, dryRun = false } = {}) {
+        const content = await this.readFile(filePath);
+        const formatted = formatBibtex(content, { sort });
+        const changed = formatted !== content;
+        if (changed && !dryRun) {
+            await this.writeFile(filePath, formatted);
+        }
+        return { changed, dryRun, content: formatted };
+    }
+
+    async checkCitations(rootFile = null) {
+        const document = await this.resolveDocument(rootFile);
+        const cited = new Map();
+        let citationCount = 0;
+        let citesAll = false;
+        for (const { file } of document.files) {
+            const content = await fs.readFile(path.join(this.localPath, file), 'utf8');
+            const offsets = lineOffsets(content);
+            for (const citation of findCitations(content)) {
+                const location = { file, line: lineFromOffsets(offsets, citation.index), command: citation.command };
+                for (const key of citation.keys) {
+                    citationCount++;
+                    // \nocite{*} adds every entry to the bibliography
+                    if (key === '*') {
+                        citesAll = true;
+                        continue;
+                    }
+                    const normalized = key.toLowerCase();
+                    if (!cited.has(normalized)) cited.set(normalized, { key, locations: [] });
+                    cited.get(normalized).locations.push(location);
+                }
+            }
+        }
+
+        const { entries, errors } = await this.getBibEntries();
+        const defined = new Set(entries.map(e => e.key.toLowerCase()));
+        const missing = [...cited.entries()]
+            .filter(([normalized]) => !defined.has(normalized))
+            .map(([, use]) => use);
+        const unused = citesAll ? [] : entries
+            .filter(e => !cited.has(e.key.toLowerCase()))
+            .map(e => ({ key: e.key, file: e.file, line: e.line }));
+
+        // Entries that describe the same work: a repeated key, or a shared DOI or title
+        const groups = new Map();
+        const addToGroup = (reason, value, entry) => {
+            if (!value) return;
+            const id = `${reason}:${value}`;
+            if (!groups.has(id)) groups.set(id, { reason, value, entries: [] });
+            groups.get(id).entries.push({ key: entry.key, file: entry.file, line: entry.line });
+        };
+        for (const entry of entries) {
+            addToGroup('key', entry.key.toLowerCase(), entry);
+            const doi = getField(entry, 'doi');
+            addToGroup('doi', doi && doi.toLowerCase().replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:)/, '').trim(), entry);
+            const title = getField(entry, 'title');
+            addToGroup('title', title && title.toLowerCase().replace(/\\[a-z]+|[^a-z0-9]+/g, ' ').trim(), entry);
+        }
+        const duplicates = [...groups.values()].filter(g =>
+            g.entries.length > 1 && (g.reason === 'key' || new Set(g.entries.map(e => e.key.toLowerCase())).size > 1)
+        );
+
+        return {
+            root: document.root,
+            citations: citationCount,
+            citedKeys: cited.size,
+            entries: entries.length,
+            missing,
+            unused,
+            duplicates,
+            errors
+        };
+    }
+
+    async checkReferences() {
+        const files = (await this.listFiles('.tex')).map(f => f.split(path.sep).join('/')).sort();
+        const labels = new Map();
+        const references = new Map();
+        for (const file of files) {
+            const content = await fs.readFile(path.join(this.localPath, file), 'utf8');
+            const found = findReferences(content);
+            const offsets = lineOffsets(content);
+            for (const label of found.labels) {
+                if (!labels.has(label.name)) labels.set(label.name, []);
+                labels.get(label.name).push({ file, line: lineFromOffsets(offsets, label.index) });
+            }
+            for (const reference of found.references) {
+                const location = { file, line: lineFromOffsets(offsets, reference.index), command: reference.command };
+                for (const key of reference.keys) {
+                    if (!references.has(key)) references.set(key, []);
+                    references.get(key).push(location);
+                }
+            }
+        }
+
+        return {
+            filesScanned: files.length,
+            labels: labels.size,
+            references: [...references.values()].reduce((total, locations) => total + locations.length, 0),
+            missing: [...references.entries()]
+                .filter(([key]) => !labels.has(key))
+                .map(([key, locations]) => ({ key, locations })),
+            duplicates: [...labels.entries()]
+                .filter(([, locations]) => locations.length > 1)
+                .map(([label, locations]) => ({ label, locations })),
+            unreferenced: [...labels.entries()]
+                .filter(([label]) => !references.has(label))
+                .map(([label, locations]) => ({ label, ...locations[0] }))
+        };
+    }
+
+    async getFloats(rootFile = null) {
+        const document = await this.resolveDocument(rootFile);
+        const existingFiles = new Set((await this.listFiles('')).map(f => f.split(path.sep).join('/')));
+        const sources = [];
+        for (const { file } of document.files) {
+            const content = await fs.readFile(path.join(this.localPath, file), 'utf8');
+            sources.push({ file, content, offsets: lineOffsets(content) });
+        }
+
+        // \graphicspath usually sits in the preamble but applies to the whole document
+        const graphicsPaths = sources.flatMap(s => findGraphicsPaths(s.content));
+        const referenced = new Set(sources.flatMap(s => findReferences(s.content).references.flatMap(r => r.keys)));
+        const locate = (graphic, source) => {
+            const resolved = resolveGraphicsPath(graphic, document.root, graphicsPaths, existingFiles);
+            return { path: graphic.target, resolved, exists: resolved !== null, file: source.file, line: lineFromOffsets(source.offsets, graphic.index) };
+        };
+
+        const floats = [];
+        const missingGraphics = [];
+        for (const source of sources) {
+            for (const float of findFloats(source.content)) {
+                floats.push({
+                    environment: float.environment,
+                    file: source.file,
+                    line: lineFromOffsets(source.offsets, float.index),
+                    // With subfigures, the float's own caption comes after theirs
+                    caption: float.captions[float.captions.length - 1] || null,
+                    captions: float.captions,
+                    labels: float.labels,
+                    referenced: float.labels.some(l => referenced.has(l)),
+                    graphics: float.graphics.map(g => locate(g, source))
+                });
+            }
+            // Also covers graphics placed outside any float
+            missingGraphics.push(...findGraphics(source.content).map(g => locate(g, source)).filter(g => !g.exists));
+        }
+
+        return { root: document.root, floats, missingGraphics };
+    }
+
     async writeFile(filePath, content) {
         await this.cloneOrPull();
         const fullPath = path.join(this.localPath, filePath);
@@ -177,6 +1017,26 @@ class OverleafGitClient {
         return fullPath;
     }
 
+    async editFile(filePath, oldString, newString, { replaceAll = false } = {}) {
+        if (!oldString) {
+            throw new Error('oldString must be a non-empty string');
+        }
+        if (oldString === newString) {
+            throw new Error('oldString and newString must be different');
+        }
+        const content = await this.readFile(filePath);
+        const occurrences = content.split(oldString).length - 1;
+        if (occurrences === 0) {
+            throw new Error(`oldString not found in ${filePath}`);
+        }
+        if (occurrences > 1 && !replaceAll) {
+            throw new Error(`oldString matches ${occurrences} times in ${filePath}; include more context to make it unique or set replaceAll`);
+        }
+        // split/join avoids String.replace treating "$&" etc. in newString as patterns
+        await this.writeFile(filePath, content.split(oldString).join(newString));
+        return occurrences;
+    }
+
     async deleteFile(filePath) {
         await this.cloneOrPull();
         const fullPath = path.join(this.localPath, filePath);
@@ -184,15 +1044,235 @@ class OverleafGitClient {
         return fullPath;
     }
 
-    async commit(message) {
+    // Renames a file or directory with `git mv` and rewrites the \input,
+    // \includegraphics, \bibliography, ... arguments that point into it
+    async moveFile(from, to, { dryRun = false } = {}) {
+        const source = this._resolveInRepo(from);
+        const destination = this._resolveInRepo(to);
+        await this.cloneOrPull();
+        const fromPath = path.relative(this.localPath, source).split(path.sep).join('/');
+        const toPath = path.relative(this.localPath, destination).split(path.sep).join('/');
+        if (toPath === fromPath || toPath.startsWith(`${fromPath}/`)) {
+            throw new Error(`Cannot move '${fromPath}' into itself`);
+        }
+        if (!(await fs.stat(source).catch(() => null))) {
+            throw new Error(`Cannot move '${fromPath}': no such file or directory`);
+        }
+        if (await fs.stat(destination).catch(() => null)) {
+            throw new Error(`Cannot move to '${toPath}': it already exists`);
+        }
+
+        const existingFiles = new Set((await this.listFiles('')).map(f => f.split(path.sep).join('/')));
+        const movedPath = file => {
+            if (file === fromPath) return toPath;
+            return file.startsWith(`${fromPath}/`) ? toPath + file.substring(fromPath.length) : file;
+        };
+        const moved = [...existingFiles].filter(f => movedPath(f) !== f).sort().map(f => ({ from: f, to: movedPath(f) }));
+
+        // Without a root document, each file's paths are taken relative to itself
+        const rootFile = this.rootFile || await this._detectRootFile(existingFiles).catch(() => null);
+        const sources = [];
+        for (const file of [...existingFiles].filter(f => f.endsWith('.tex')).sort()) {
+            sources.push({ file, content: await fs.readFile(path.join(this.localPath, file), 'utf8') });
+        }
+        const graphicsPaths = sources.flatMap(s => findGraphicsPaths(s.content));
+
+        const updated = [];
+        for (const { file, content } of sources) {
+            const root = rootFile || file;
+            const edits = [];
+            for (const reference of findPathReferences(content)) {
+                const resolution = resolveReference(reference, file, root, graphicsPaths, existingFiles);
+                if (!resolution) continue;
+                edits.push(...retargetReference(reference, resolution, movedPath(resolution.path), movedPath(file), movedPath(root), graphicsPaths));
+            }
+            if (edits.length === 0) continue;
+            const offsets = lineOffsets(content);
+            let newContent = content;
+            for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+                newContent = newContent.substring(0, edit.start) + edit.after + newContent.substring(edit.end);
+            }
+            updated.push({
+                file: movedPath(file),
+                size: Buffer.byteLength(newContent, 'utf8'),
+                content: newContent,
+                changes: edits.map(e => ({ line: lineFromOffsets(offsets, e.start), before: e.before, after: e.after }))
+            });
+        }
+
+        if (!dryRun) {
+            await fs.mkdir(path.dirname(destination), { recursive: true });
+            try {
+                await this._runGit(['mv', '--', fromPath, toPath]);
+            } catch (error) {
+                throw new Error(`Move failed: ${(error.stderr || error.message).trim()}`);
+            }
+            for (const update of updated) {
+                await this.writeFile(update.file, update.content);
+            }
+        }
+        return { from: fromPath, to: toPath, dryRun, moved, updated: updated.map(({ file, size, changes }) => ({ file, size, changes })) };
+    }
+
+    _resolveInRepo(filePath) {
+        const fullPath = path.resolve(this.localPath, filePath);
+        if (!fullPath.startsWith(this.localPath + path.sep)) {
+            throw new Error(`Path "${filePath}" is outside the project`);
+        }
+        return fullPath;
+    }
+
+    async applyPatch(patchText, { dryRun = false } = {}) {
+        const filePatches = parsePatch(patchText);
+        await this.cloneOrPull();
+
+        const files = [];
+        for (const filePatch of filePatches) {
+            const targetPath = filePatch.newPath || filePatch.oldPath;
+            const sourcePath = this._resolveInRepo(filePatch.oldPath || filePatch.newPath);
+            this._resolveInRepo(targetPath);
+
+            const current = await fs.readFile(sourcePath, 'utf8').catch(() => null);
+            const result = applyFilePatch(current, filePatch);
+            let action = 'modified';
+            if (!filePatch.oldPath) action = 'created';
+            else if (!filePatch.newPath) action = 'deleted';
+            else if (filePatch.oldPath !== filePatch.newPath) action = 'renamed';
+
+            files.push({
+                path: targetPath,
+                oldPath: filePatch.oldPath,
+                action,
+                hunks: result.hunks,
+                error: result.error,
+                ok: !result.error && result.hunks.every(h => h.status === 'applied'),
+                size: typeof result.content === 'string' ? Buffer.byteLength(result.content, 'utf8') : undefined,
+                content: result.content
+            });
+        }
+
+        const applied = files.every(f => f.ok);
+        // All-or-nothing: nothing is written unless every hunk of every file applies
+        if (applied && !dryRun) {
+            for (const file of files) {
+                if (file.action === 'deleted' || file.action === 'renamed') {
+                    await fs.unlink(this._resolveInRepo(file.oldPath));
+                }
+                if (file.action !== 'deleted') {
+                    const fullPath = this._resolveInRepo(file.path);
+                    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+                    await fs.writeFile(fullPath, file.content, 'utf8');
+                }
+            }
+        }
+
+        return {
+            applied: applied && !dryRun,
+            dryRun,
+            files: files.map(({ content, ...rest }) => rest)
+        };
+    }
+
+    _validatePaths(paths) {
+        if (!Array.isArray(paths) || paths.length === 0 || !paths.every(p => typeof p === 'string' && p.trim())) {
+            throw new Error('paths must be a non-empty array of file paths');
+        }
+        for (const filePath of paths) {
+            this._resolveInRepo(filePath);
+        }
+        return paths;
+    }
+
+    // Uncommitted changes per file, with the staged and unstaged diff of each
+    async getPendingChanges(filePath = null) {
+        if (filePath) this._resolveInRepo(filePath);
+        await this.cloneOrPull();
+        const args = ['status', '--porcelain=v1', '-z', '--untracked-files=all', '--'];
+        if (filePath) args.push(filePath);
+        const records = (await this._runGit(args)).split('\0');
+        const files = [];
+        for (let i = 0; i < records.length; i++) {
+            const record = records[i];
+            if (!record) continue;
+            const [index, worktree] = record;
+            const change = {
+                path: record.substring(3),
+                // Renames and copies are followed by the source path
+                oldPath: index === 'R' || index === 'C' ? records[++i] : null,
+                staged: index !== ' ' && index !== '?' ? CHANGE_TYPES[index] : null,
+                unstaged: worktree !== ' ' ? CHANGE_TYPES[worktree] : null
+            };
+            const stagedPaths = change.oldPath ? [change.oldPath, change.path] : [change.path];
+            change.stagedDiff = change.staged ? await this._runGit(['diff', '--cached', '-M', '--', ...stagedPaths]) : '';
+            if (change.unstaged === 'untracked') {
+                // --no-index exits with 1 whenever the files differ
+                change.unstagedDiff = await this._runGit(['diff', '--no-index', '--', '/dev/null', change.path])
+                    .catch(error => (error.code === 1 ? error.stdout : Promise.reject(error)));
+            } else {
+                change.unstagedDiff = change.unstaged ? await this._runGit(['diff', '--', change.path]) : '';
+            }
+            files.push(change);
+        }
+        return files;
+    }
+
+    // `git add` fails on paths that are in neither the working tree nor the
+    // index, such as the old name of a staged rename, so those only get their
+    // deletion staged
+    async _stagePaths(paths, options = {}) {
+        const present = [];
+        const missing = [];
+        for (const filePath of paths) {
+            const exists = await fs.access(this._resolveInRepo(filePath)).then(() => true, () => false);
+            (exists ? present : missing).push(filePath);
+        }
+        if (present.length > 0) {
+            await this._runGit(['add', '-A', '--', ...present], options);
+        }
+        if (missing.length > 0) {
+            // A path that is gone from disk is only a change if git knows it, from the index or the last commit
+            const indexed = await this._runGit(['ls-files', '-z', '--', ...missing], options);
+            const committed = await this._runGit(['ls-tree', '-r', '-z', '--name-only', 'HEAD', '--', ...missing], options).catch(() => '');
+            const known = `${indexed}\0${committed}`.split('\0').filter(Boolean);
+            for (const filePath of missing) {
+                const normalized = path.posix.normalize(filePath.split(path.sep).join('/')).replace(/\/$/, '');
+                if (!known.some(file => file === normalized || file.startsWith(`${normalized}/`))) {
+                    throw new Error(`'${filePath}' does not exist and is not tracked by git`);
+                }
+            }
+            await this._runGit(['rm', '-r', '-q', '--cached', '--ignore-unmatch', '--', ...missing], options);
+        }
+    }
+
+    async stage(paths) {
+        await this._stagePaths(this._validatePaths(paths));
+        return await this.getPendingChanges();
+    }
+
+    async unstage(paths) {
+        await this._runGit(['restore', '--staged', '--', ...this._validatePaths(paths)]);
+        return await this.getPendingChanges();
+    }
+
+    // Commits every change by default; `paths` commits only those files and
+    // `stagedOnly` commits what stage() put in the index
+    async commit(message, { paths = null, stagedOnly = false } = {}) {
+        if (paths !== null && stagedOnly) {
+            throw new Error('Commit either specific paths or the staged changes, not both');
+        }
+        const pathspec = paths === null ? [] : ['--', ...this._validatePaths(paths)];
         const env = await this._gitEnv();
         try {
-            await execFileAsync('git', ['add', '-A'], {
-                cwd: this.localPath,
-                env,
-                timeout: 30000
-            });
-            const { stdout } = await execFileAsync('git', ['commit', '-m', message], {
+            if (paths !== null) {
+                await this._stagePaths(paths, { env, timeout: 30000 });
+            } else if (!stagedOnly) {
+                await execFileAsync('git', ['add', '-A'], {
+                    cwd: this.localPath,
+                    env,
+                    timeout: 30000
+                });
+            }
+            const { stdout } = await execFileAsync('git', ['commit', '-m', message, ...pathspec], {
                 cwd: this.localPath,
                 env,
                 timeout: 30000
@@ -203,6 +1283,9 @@ class OverleafGitClient {
             if (combined.includes('nothing to commit')) {
                 return 'Nothing to commit, working tree clean';
             }
+            if (combined.includes('no changes added to commit')) {
+                return 'Nothing staged to commit';
+            }
             if (error.message && error.message.includes('timeout')) {
                 throw new Error('Commit operation timed out');
             }
@@ -212,6 +1295,24 @@ class OverleafGitClient {
         }
     }
 
+    _isNonFastForward(error) {
+        return /non-fast-forward|\[rejected\]|fetch first/.test(`${error.stderr || ''} ${error.message || ''}`);
+    }
+
+    _pushError(error) {
+        this._redactError(error);
+        if (error.message.includes('timeout')) {
+            return new Error('Push operation timed out - check network connection');
+        }
+        if (error.message.includes('403')) {
+            return new Error('Push failed: Authentication error - check git token');
+        }
+        if (this._isNonFastForward(error)) {
+            return new Error('Push failed: Overleaf has newer changes (non-fast-forward). Use sync_changes to rebase and retry.');
+        }
+        return new Error(`Push failed: ${error.message}`);
+    }
+
     async push() {
         const env = await this._gitEnv();
         try {
@@ -222,27 +1323,182 @@ class OverleafGitClient {
             });
             return stdout || 'Push successful';
         } catch (error) {
-            this._redactError(error);
-            if (error.message.includes('timeout')) {
-                throw new Error('Push operation timed out - check network connection');
-            }
-            if (error.message.includes('403')) {
-                throw new Error('Push failed: Authentication error - check git token');
+            throw this._pushError(error);
+        } finally {
+            await this._cleanupAskPassScript();
+        }
+    }
+
+    async _rebaseOntoUpstream(env) {
+        try {
+            await this._runGit(['rebase', '@{u}'], { timeout: 30000 });
+        } catch (error) {
+            await this._runGit(['rebase', '--abort']).catch(() => {});
+            // Fall back to a merge so conflicts go through the usual resolution tools
+            await this._pull(env);
+        }
+    }
+
+    async syncChanges(message, { maxAttempts = 3 } = {}) {
+        const commitResult = await this.commit(message);
+        const env = await this._gitEnv();
+        try {
+            for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+                await this._runGit(['fetch'], { env, timeout: 60000 });
+                await this._rebaseOntoUpstream(env);
+                try {
+                    await this._runGit(['push'], { env, timeout: 60000 });
+                    return { commit: commitResult, attempts: attempt };
+                } catch (error) {
+                    // Someone pushed between our fetch and push; fetch and rebase again
+                    if (!this._isNonFastForward(error)) throw this._pushError(error);
+                }
             }
-            throw new Error(`Push failed: ${error.message}`);
+            throw new Error(`Push failed: still rejected as non-fast-forward after ${maxAttempts} attempts`);
+        } catch (error) {
+            throw this._redactError(error);
         } finally {
             await this._cleanupAskPassScript();
         }
     }
 
-    async status() {
+    _validateRevision(revision) {
+        // Refuse anything git could parse as an option, e.g. "--output=..."
+        if (typeof revision !== 'string' || !/^[A-Za-z0-9_][A-Za-z0-9_.\/~^@{}:-]*$/.test(revision)) {
+            throw new Error(`revision must be a commit hash, branch or ref expression (got "${revision}")`);
+        }
+        return revision;
+    }
+
+    async _runGit(args, options = {}) {
+        const { stdout } = await execFileAsync('git', args, {
+            cwd: this.localPath,
+            env: { ...process.env, ...this._identityEnv(), GIT_TERMINAL_PROMPT: '0' },
+            maxBuffer: 10 * 1024 * 1024,
+            ...options
+        });
+        return stdout;
+    }
+
+    async log({ filePath = null, limit = 20, since = null } = {}) {
+        await this.cloneOrPull();
+        // Unit/record separators keep commit subjects with "|" or newlines parseable
+        const args = ['log', `--max-count=${limit}`, '--format=%H%x1f%an%x1f%ae%x1f%aI%x1f%s%x1e'];
+        if (since) args.push(`--since=${since}`);
+        args.push('--');
+        if (filePath) args.push(filePath);
+        const stdout = await this._runGit(args);
+        return stdout.split('\x1e').map(r => r.trim()).filter(Boolean).map(record => {
+            const [hash, author, email, date, message] = record.split('\x1f');
+            return { hash, author, email, date, message };
+        });
+    }
+
+    async show(revision) {
+        await this.cloneOrPull();
+        return await this._runGit(['show', '--stat', '--patch', this._validateRevision(revision), '--']);
+    }
+
+    // Size in bytes of a file at a revision, or null when it does not exist there
+    async getFileSizeAt(revision, filePath) {
+        this._resolveInRepo(filePath);
+        const rev = this._validateRevision(revision);
+        await this.cloneOrPull();
+        try {
+            return Number((await this._runGit(['cat-file', '-s', `${rev}:${filePath}`])).trim());
+        } catch {
+            return null;
+        }
+    }
+
+    // Files a commit changes, which are the files reverting it rewrites
+    async getCommitFiles(revision) {
+        await this.cloneOrPull();
+        const stdout = await this._runGit(['diff-tree', '--no-commit-id', '--name-only', '-r', '-z', '--root', this._validateRevision(revision), '--']);
+        return stdout.split('\0').filter(Boolean);
+    }
+
+    async diff({ from = 'HEAD', to = null, filePath = null } = {}) {
+        await this.cloneOrPull();
+        // Without "to" this compares a revision against the working tree
+        const args = ['diff', this._validateRevision(from)];
+        if (to) args.push(this._validateRevision(to));
+        args.push('--');
+        if (filePath) args.push(filePath);
+        return await this._runGit(args);
+    }
+
+    async discardChanges(filePath) {
+        this._resolveInRepo(filePath);
+        try {
+            await this._runGit(['restore', '--source=HEAD', '--staged', '--worktree', '--', filePath]);
+        } catch (error) {
+            if ((error.stderr || '').includes('did not match')) {
+                throw new Error(`Cannot discard changes: "${filePath}" is not tracked in HEAD (use delete_file for new files)`);
+            }
+            throw new Error(`Discard failed: ${error.stderr || error.message}`);
+        }
+    }
+
+    async restoreFile(filePath, revision) {
+        this._resolveInRepo(filePath);
         await this.cloneOrPull();
+        try {
+            await this._runGit(['restore', `--source=${this._validateRevision(revision)}`, '--staged', '--worktree', '--', filePath]);
+        } catch (error) {
+            if ((error.stderr || '').includes('did not match')) {
+                throw new Error(`Cannot restore: "${filePath}" does not exist at ${revision}`);
+            }
+            throw new Error(`Restore failed: ${error.stderr || error.message}`);
+        }
+    }
+
+    async revertCommit(revision) {
+        await this.cloneOrPull();
+        try {
+            return await this._runGit(['revert', '--no-edit', this._validateRevision(revision)], { timeout: 30000 });
+        } catch (error) {
+            // Never leave the clone half-reverted
+            await this._runGit(['revert', '--abort']).catch(() => {});
+            throw new Error(`Revert failed: ${(error.stderr || error.stdout || error.message).trim()}`);
+        }
+    }
+
+    // How long ago the local copy was last synced with Overleaf
+    freshness() {
+        if (this.lastPullTime === null) {
+            return { lastPullTime: null, ageSeconds: null, description: 'not pulled yet in this session' };
+        }
+        const ageSeconds = Math.round((Date.now() - this.lastPullTime) / 1000);
+        return {
+            lastPullTime: new Date(this.lastPullTime).toISOString(),
+            ageSeconds,
+            description: `last pulled ${ageSeconds}s ago${this.lastPull && this.lastPull.action === 'skipped' ? ' (pull skipped)' : ''}`
+        };
+    }
+
+    async status() {
+        const pull = await this.cloneOrPull();
         const { stdout } = await execFileAsync('git', ['status'], {
             cwd: this.localPath,
             env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
         });
-        return stdout;
+        const synced = `Local copy ${this.freshness().description}\n\n`;
+        if (pull && pull.action === 'skipped' && pull.message) {
+            return `⚠️ ${pull.message}\n\n${synced}${stdout}`;
+        }
+        return `${synced}${stdout}`;
     }
 }
 
+// Every public async method takes the project lock, so tool calls on one
+// project never interleave their pulls, writes and commits
+for (const name of Object.getOwnPropertyNames(OverleafGitClient.prototype)) {
+    const method = OverleafGitClient.prototype[name];
+    if (name.startsWith('_') || method.constructor.name !== 'AsyncFunction') continue;
+    OverleafGitClient.prototype[name] = function (...args) {
+        return this._withLock(() => method.apply(this, args));
+    };
+}
+
 module.exports = OverleafGitClient;
\ No newline at end of file
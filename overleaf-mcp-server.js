@@ -13,8 +13,19 @@ const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio
 const {
   ListToolsRequestSchema,
   CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
 } = require('@modelcontextprotocol/sdk/types.js');
 const OverleafGitClient = require('./overleaf-git-client.js');
+const { getField } = require('./bibtex.js');
+const { buildResourceUri, parseResourceUri } = require('./resource-uri.js');
+const { PROMPTS, getPrompt } = require('./paper-prompts.js');
+const { parsePolicy, describePolicy, findPolicyProject, guardClient } = require('./project-policy.js');
 
 const server = new Server(
   {
@@ -23,7 +34,9 @@ const server = new Server(
   },
   {
     capabilities: {
-      tools: {}
+      tools: {},
+      resources: { subscribe: true, listChanged: true },
+      prompts: {}
     }
   }
 );
@@ -38,7 +51,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         inputSchema: {
           type: 'object',
           properties: {
-            extension: { type: 'string', description: 'File extension filter (e.g., .tex)', default: '.tex' },
+            extension: { type: 'string', description: 'File extension filter (e.g., .tex, .png), or "*" for all files', default: '.tex' },
             projectName: { type: 'string', description: 'Project name (default, project2, etc.)' },
             gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
             projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
@@ -62,12 +75,12 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         }
       },
       {
-        name: 'get_sections',
-        description: 'Get all sections from a LaTeX file',
+        name: 'read_binary_file',
+        description: 'Read a binary file such as an image, PDF or font. PNG, JPEG and GIF files are returned as images; other types as base64.',
         inputSchema: {
           type: 'object',
           properties: {
-            filePath: { type: 'string', description: 'Path to the LaTeX file' },
+            filePath: { type: 'string', description: 'Path to the file' },
             projectName: { type: 'string', description: 'Project name (default, project2, etc.)' },
             gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
             projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
@@ -76,19 +89,172 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           additionalProperties: false
         }
       },
+      {
+        name: 'get_sections',
+        description: 'Get all sections from a LaTeX file, or the outline of the whole document (following \\input, \\include, \\subfile and \\import) when filePath is omitted',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filePath: { type: 'string', description: 'Path to the LaTeX file (optional, defaults to the whole document)' },
+            rootFile: { type: 'string', description: 'Root document for the whole-document outline (optional, auto-detected)' },
+            projectName: { type: 'string', description: 'Project name (default, project2, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'get_outline',
+        description: 'Get the document outline as a JSON tree (part > chapter > section > ...) with line ranges, labels, short titles and starred flags',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filePath: { type: 'string', description: 'Path to a single LaTeX file (optional, defaults to the whole document)' },
+            rootFile: { type: 'string', description: 'Root document for the whole-document outline (optional, auto-detected)' },
+            projectName: { type: 'string', description: 'Project name (default, project2, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          additionalProperties: false
+        }
+      },
       {
         name: 'get_section_content',
         description: 'Get content of a specific section',
         inputSchema: {
           type: 'object',
           properties: {
-            filePath: { type: 'string', description: 'Path to the LaTeX file' },
+            filePath: { type: 'string', description: 'Path to the LaTeX file (optional, searches the whole document when omitted)' },
             sectionTitle: { type: 'string', description: 'Title of the section' },
             projectName: { type: 'string', description: 'Project name (default, project2, etc.)' },
             gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
             projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
           },
-          required: ['filePath', 'sectionTitle'],
+          required: ['sectionTitle'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'get_document_tree',
+        description: 'Show which files make up the document, starting from the root file and following \\input, \\include, \\subfile and \\import',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            rootFile: { type: 'string', description: 'Root document (optional, auto-detected via \\documentclass or rootFile in projects.json)' },
+            projectName: { type: 'string', description: 'Project name (default, project2, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'search_project',
+        description: 'Search all text files in a project for a literal string or regular expression',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: { type: 'string', description: 'Text or regular expression to search for (matched line by line)' },
+            regex: { type: 'boolean', description: 'Treat query as a regular expression', default: false },
+            caseSensitive: { type: 'boolean', description: 'Match case exactly', default: false },
+            extensions: { type: 'array', items: { type: 'string' }, description: 'Only search files with these extensions (e.g., [".tex", ".bib"])' },
+            glob: { type: 'string', description: 'Only search paths matching this glob (e.g., chapters/**/*.tex)' },
+            contextLines: { type: 'integer', description: 'Lines of context to show around each match', default: 0 },
+            maxResults: { type: 'integer', description: 'Maximum number of matches to return', default: 200 },
+            projectName: { type: 'string', description: 'Project name (default, project2, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          required: ['query'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'compile_project',
+        description: 'Compile the project locally with latexmk (or pdflatex/xelatex/lualatex) and report errors and warnings with file and line',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            rootFile: { type: 'string', description: 'Root document (optional, auto-detected)' },
+            compiler: { type: 'string', enum: ['latexmk', 'pdflatex', 'xelatex', 'lualatex'], description: 'Compiler (optional, defaults to the project setting or latexmk)' },
+            includeBoxWarnings: { type: 'boolean', description: 'Include overfull/underfull box warnings', default: true },
+            projectName: { type: 'string', description: 'Project name (default, project2, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'list_bib_entries',
+        description: 'List the entries of the project\'s .bib files (key, type, title, year) and any parse errors',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filePath: { type: 'string', description: 'Only list entries from this .bib file (optional, defaults to all .bib files)' },
+            projectName: { type: 'string', description: 'Project name (default, project2, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'get_bib_entry',
+        description: 'Look up a BibTeX entry by citation key across all .bib files',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            key: { type: 'string', description: 'Citation key (case-insensitive)' },
+            projectName: { type: 'string', description: 'Project name (default, project2, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          required: ['key'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'check_citations',
+        description: 'Cross-reference citations in the document against the .bib files: missing keys, unused entries and duplicate entries (same key, DOI or title)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            rootFile: { type: 'string', description: 'Root document (optional, auto-detected)' },
+            projectName: { type: 'string', description: 'Project name (default, project2, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'check_references',
+        description: 'Check \\label and \\ref/\\eqref/\\cref/\\autoref/\\pageref usage across all .tex files: undefined references, duplicate labels and unreferenced labels',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            includeUnreferenced: { type: 'boolean', description: 'List labels that are never referenced', default: true },
+            projectName: { type: 'string', description: 'Project name (default, project2, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'list_floats',
+        description: 'List figure, table, algorithm and other float environments with caption, label, graphics and location, flagging missing captions, labels, references and graphics files',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            rootFile: { type: 'string', description: 'Root document (optional, auto-detected)' },
+            environment: { type: 'string', description: 'Only list this environment, e.g. figure or table (starred variants included)' },
+            projectName: { type: 'string', description: 'Project name (default, project2, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
           additionalProperties: false
         }
       },
@@ -128,6 +294,77 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           additionalProperties: false
         }
       },
+      {
+        name: 'upload_file',
+        description: 'Upload a binary file (e.g. a regenerated figure) to an Overleaf project from base64 content',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filePath: { type: 'string', description: 'Path to the file' },
+            contentBase64: { type: 'string', description: 'File content encoded as base64 (a data: URL is also accepted)' },
+            projectName: { type: 'string', description: 'Project name (default, project2, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          required: ['filePath', 'contentBase64'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'edit_file',
+        description: 'Replace an exact string in a file. Fails if the string is missing or not unique unless replaceAll is set',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filePath: { type: 'string', description: 'Path to the file' },
+            oldString: { type: 'string', description: 'Exact text to replace' },
+            newString: { type: 'string', description: 'Replacement text' },
+            replaceAll: { type: 'boolean', description: 'Replace every occurrence instead of requiring a unique match', default: false },
+            projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          required: ['filePath', 'oldString', 'newString'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'apply_patch',
+        description: 'Apply a unified diff covering one or more files. Nothing is written unless every hunk applies',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            patch: { type: 'string', description: 'Unified diff (git diff or diff -u format)' },
+            dryRun: { type: 'boolean', description: 'Only check whether the patch applies', default: false },
+            projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          required: ['patch'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'replace_in_project',
+        description: 'Find and replace across all matching files. Returns a preview unless confirm is true',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: { type: 'string', description: 'Text or regular expression to replace (matched line by line)' },
+            replacement: { type: 'string', description: 'Replacement text ($1, $& etc. are expanded in regex mode)' },
+            regex: { type: 'boolean', description: 'Treat query as a regular expression', default: false },
+            caseSensitive: { type: 'boolean', description: 'Match case exactly', default: true },
+            extensions: { type: 'array', items: { type: 'string' }, description: 'Only change files with these extensions (e.g., [".tex"])' },
+            glob: { type: 'string', description: 'Only change paths matching this glob (e.g., chapters/**/*.tex)' },
+            confirm: { type: 'boolean', description: 'Write the changes. When false, only a preview is returned', default: false },
+            projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          required: ['query', 'replacement'],
+          additionalProperties: false
+        }
+      },
       {
         name: 'delete_file',
         description: 'Delete a file from an Overleaf project',
@@ -143,13 +380,162 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           additionalProperties: false
         }
       },
+      {
+        name: 'move_file',
+        description: 'Move or rename a file or directory with git mv, rewriting \\input, \\include, \\includegraphics, \\bibliography and \\addbibresource references to it across the project',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            from: { type: 'string', description: 'Current path of the file or directory' },
+            to: { type: 'string', description: 'New path' },
+            dryRun: { type: 'boolean', description: 'Only report the move and the reference changes', default: false },
+            projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          required: ['from', 'to'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'replace_section',
+        description: 'Replace or append to the body of a section, leaving the rest of the file untouched',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filePath: { type: 'string', description: 'Path to the LaTeX file' },
+            sectionTitle: { type: 'string', description: 'Title of the section' },
+            content: { type: 'string', description: 'New section body (without the heading)' },
+            mode: { type: 'string', enum: ['replace', 'append'], description: 'Replace the body or append to it', default: 'replace' },
+            projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          required: ['filePath', 'sectionTitle', 'content'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'insert_section',
+        description: 'Insert a new section before or after an existing section',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filePath: { type: 'string', description: 'Path to the LaTeX file' },
+            anchorTitle: { type: 'string', description: 'Title of the existing section to insert next to' },
+            content: { type: 'string', description: 'LaTeX for the new section, including its heading' },
+            position: { type: 'string', enum: ['before', 'after'], description: 'Insert before or after the anchor section', default: 'after' },
+            projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          required: ['filePath', 'anchorTitle', 'content'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'delete_section',
+        description: 'Delete a section (heading and body) from a LaTeX file',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filePath: { type: 'string', description: 'Path to the LaTeX file' },
+            sectionTitle: { type: 'string', description: 'Title of the section to delete' },
+            projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          required: ['filePath', 'sectionTitle'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'add_bib_entry',
+        description: 'Add a BibTeX entry to a .bib file, refusing duplicate citation keys unless replace is set. The entry is formatted consistently.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filePath: { type: 'string', description: 'The .bib file to add the entry to (created if missing)' },
+            entry: { type: 'string', description: 'A single BibTeX entry, e.g. @article{key, author = {...}, ...}' },
+            replace: { type: 'boolean', description: 'Replace an existing entry with the same key, in whichever .bib file holds it', default: false },
+            projectName: { type: 'string', description: 'Project name (default, project2, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          required: ['filePath', 'entry'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'format_bib',
+        description: 'Reformat a .bib file: lowercase types and field names, consistent field order and alignment, braces instead of quotes',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filePath: { type: 'string', description: 'The .bib file to format' },
+            sort: { type: 'boolean', description: 'Sort entries by citation key', default: false },
+            dryRun: { type: 'boolean', description: 'Return the formatted file without writing it', default: false },
+            projectName: { type: 'string', description: 'Project name (default, project2, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          required: ['filePath'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'preview_changes',
+        description: 'Show uncommitted changes per file, split into staged and unstaged diffs',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filePath: { type: 'string', description: 'Limit the preview to this path (optional)' },
+            projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'stage_files',
+        description: 'Stage changes to specific paths (including deletions) for the next commit_changes with stagedOnly',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            paths: { type: 'array', items: { type: 'string' }, description: 'File or directory paths relative to the project root' },
+            projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          required: ['paths'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'unstage_files',
+        description: 'Remove paths from the staged changes, keeping the edits in the working tree',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            paths: { type: 'array', items: { type: 'string' }, description: 'File or directory paths relative to the project root' },
+            projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          required: ['paths'],
+          additionalProperties: false
+        }
+      },
       {
         name: 'commit_changes',
-        description: 'Commit all changes to the repository',
+        description: 'Commit changes to the repository: all changes by default, only the given paths, or only what is staged',
         inputSchema: {
           type: 'object',
           properties: {
             message: { type: 'string', description: 'Commit message' },
+            paths: { type: 'array', items: { type: 'string' }, description: 'Commit only these paths (optional)' },
+            stagedOnly: { type: 'boolean', description: 'Commit only the changes staged with stage_files (optional)', default: false },
             projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
             gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
             projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
@@ -164,10 +550,41 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         inputSchema: {
           type: 'object',
           properties: {
+            confirm: { type: 'boolean', description: 'Confirm the push; required when the project policy sets requirePushConfirmation', default: false },
+            projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'sync_changes',
+        description: 'Commit all changes, rebase onto the latest Overleaf version and push, retrying if Overleaf rejects the push',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            message: { type: 'string', description: 'Commit message' },
+            maxAttempts: { type: 'integer', description: 'How many times to fetch, rebase and push before giving up', default: 3 },
+            confirm: { type: 'boolean', description: 'Confirm the push; required when the project policy sets requirePushConfirmation', default: false },
             projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
             gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
             projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
           },
+          required: ['message'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'refresh',
+        description: 'Pull the latest changes from Overleaf now. Other tools reuse the local copy if it was pulled within the last pullIntervalSeconds (default 30).',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            projectName: { type: 'string', description: 'Project name (default, project2, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
           additionalProperties: false
         }
       },
@@ -183,6 +600,157 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           },
           additionalProperties: false
         }
+      },
+      {
+        name: 'git_log',
+        description: 'List commits in the project history, newest first',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filePath: { type: 'string', description: 'Only show commits touching this path (optional)' },
+            limit: { type: 'integer', description: 'Maximum number of commits', default: 20 },
+            since: { type: 'string', description: 'Only show commits after this date (e.g., "2 days ago", "2024-05-01")' },
+            projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'git_show',
+        description: 'Show the message, changed files and diff of a commit',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            revision: { type: 'string', description: 'Commit hash or ref (e.g., HEAD~1)' },
+            projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          required: ['revision'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'git_diff',
+        description: 'Diff the working tree against a revision, or two revisions against each other',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            from: { type: 'string', description: 'Base revision', default: 'HEAD' },
+            to: { type: 'string', description: 'Target revision (optional, defaults to the working tree)' },
+            filePath: { type: 'string', description: 'Limit the diff to this path (optional)' },
+            projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'discard_changes',
+        description: 'Discard uncommitted changes to a file, restoring it to the last commit',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filePath: { type: 'string', description: 'Path to the file' },
+            projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          required: ['filePath'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'restore_file',
+        description: 'Restore a file as it was at a given commit. The result is left uncommitted',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filePath: { type: 'string', description: 'Path to the file' },
+            revision: { type: 'string', description: 'Commit hash or ref (e.g., HEAD~2)' },
+            projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          required: ['filePath', 'revision'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'revert_commit',
+        description: 'Create a new commit that undoes a previous commit',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            revision: { type: 'string', description: 'Commit hash or ref to revert' },
+            projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          required: ['revision'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'get_conflicts',
+        description: 'List files with unresolved merge conflicts, with the base, local (ours) and Overleaf (theirs) versions',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filePath: { type: 'string', description: 'Only show this file (optional)' },
+            projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'resolve_conflict',
+        description: 'Resolve a conflicted file by keeping the local version, the Overleaf version, or supplying merged content',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filePath: { type: 'string', description: 'Path to the conflicted file' },
+            resolution: { type: 'string', enum: ['ours', 'theirs', 'manual'], description: 'ours = local version, theirs = Overleaf version, manual = use content' },
+            content: { type: 'string', description: 'Merged file content (required for manual)' },
+            projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          required: ['filePath', 'resolution'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'finish_merge',
+        description: 'Commit the merge once every conflict is resolved',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            message: { type: 'string', description: 'Merge commit message (optional)' },
+            projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'abort_merge',
+        description: 'Abandon an in-progress merge and return to the state before the pull',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            projectName: { type: 'string', description: 'Project name (default, sandbox, etc.)' },
+            gitToken: { type: 'string', description: 'Git token (optional, uses env var)' },
+            projectId: { type: 'string', description: 'Project ID (optional, uses env var)' }
+          },
+          additionalProperties: false
+        }
       }
     ]
   };
@@ -209,6 +777,25 @@ function validateContent(content) {
   return content;
 }
 
+// Binary reads and uploads are sent inline as base64, so keep them modest
+const MAX_BINARY_SIZE = 10 * 1024 * 1024;
+const IMAGE_MIME_TYPES = new Set(['image/png', 'image/jpeg', 'image/gif']);
+
+function validateBase64(content) {
+  if (typeof content !== 'string' || content.trim() === '') {
+    throw new Error('contentBase64 must be a non-empty string');
+  }
+  const encoded = content.replace(/^data:[^;,]*;base64,/, '').replace(/\s+/g, '');
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(encoded) || encoded.length % 4 !== 0) {
+    throw new Error('contentBase64 must be valid base64');
+  }
+  const buffer = Buffer.from(encoded, 'base64');
+  if (buffer.length > MAX_BINARY_SIZE) {
+    throw new Error('contentBase64 exceeds maximum size of 10MB');
+  }
+  return buffer;
+}
+
 function validateCommitMessage(message) {
   if (!message || typeof message !== 'string') {
     throw new Error('commit message must be a non-empty string');
@@ -219,6 +806,97 @@ function validateCommitMessage(message) {
   return message.trim();
 }
 
+function validatePaths(paths) {
+  if (!Array.isArray(paths) || paths.length === 0) {
+    throw new Error('paths must be a non-empty array of file paths');
+  }
+  return paths.map(validateFilePath);
+}
+
+// Get project information
+function getProjectConfig(projectName) {
+  if (projectName && projectsConfig.projects && projectsConfig.projects[projectName]) {
+    return projectsConfig.projects[projectName];
+  }
+  // Use 'default' project as fallback
+  if (projectsConfig.projects && projectsConfig.projects.default) {
+    return projectsConfig.projects.default;
+  }
+  throw new Error('No project configuration found. Please set up projects.json with at least a "default" project.');
+}
+
+function resolveProjectName(projectName) {
+  return projectName && projectsConfig.projects && projectsConfig.projects[projectName] ? projectName : 'default';
+}
+
+// Clients live for the server's lifetime so pulls can be throttled per project
+const clientPool = new Map();
+const DEFAULT_PULL_INTERVAL_SECONDS = 30;
+// Long enough for a full compile, which can take up to two minutes
+const DEFAULT_LOCK_TIMEOUT_SECONDS = 150;
+
+// projectName is the projects.json key, used to notify resource subscribers when a pull brings in changes
+function getClient(projectConfig, { gitToken: tokenOverride, projectId: projectIdOverride, projectName = null } = {}) {
+  const gitToken = tokenOverride || projectConfig.gitToken;
+  const projectId = projectIdOverride || projectConfig.projectId;
+  
+  // A remoteUrl names one specific repository, so it does not apply to an overridden projectId
+  const remoteUrl = projectIdOverride ? null : projectConfig.remoteUrl;
+  
+  if (!projectId || (!gitToken && !remoteUrl)) {
+    throw new Error('Git token and project ID are required. Set in projects.json or environment variables.');
+  }
+  if (projectIdOverride) {
+    const policyProject = findPolicyProject(projectsConfig.projects, projectId, projectConfig);
+    if (policyProject) {
+      throw new Error(`Policy violation: projectId ${projectId} is project "${policyProject}", which has a policy. Use projectName "${policyProject}" instead of overriding projectId`);
+    }
+  }
+  
+  const poolKey = [projectName, projectId, gitToken, remoteUrl].join('\n');
+  if (!clientPool.has(poolKey)) {
+    const pullIntervalSeconds = projectConfig.pullIntervalSeconds ?? projectsConfig.pullIntervalSeconds ?? DEFAULT_PULL_INTERVAL_SECONDS;
+    if (typeof pullIntervalSeconds !== 'number' || pullIntervalSeconds < 0) {
+      throw new Error('pullIntervalSeconds must be a non-negative number');
+    }
+    const lockTimeoutSeconds = projectConfig.lockTimeoutSeconds ?? projectsConfig.lockTimeoutSeconds ?? DEFAULT_LOCK_TIMEOUT_SECONDS;
+    if (typeof lockTimeoutSeconds !== 'number' || lockTimeoutSeconds <= 0) {
+      throw new Error('lockTimeoutSeconds must be a positive number');
+    }
+    const policy = parsePolicy(projectConfig.policy);
+    const client = new OverleafGitClient(gitToken, projectId, null, {
+      remoteUrl,
+      gitHost: projectConfig.gitHost,
+      gitUsername: projectConfig.gitUsername,
+      authorName: projectConfig.authorName,
+      authorEmail: projectConfig.authorEmail,
+      rootFile: projectConfig.rootFile,
+      compiler: projectConfig.compiler,
+      latexEngine: projectConfig.latexEngine,
+      latexmkrc: projectConfig.latexmkrc,
+      pullInterval: pullIntervalSeconds * 1000,
+      lockTimeout: lockTimeoutSeconds * 1000,
+      onPull: projectName ? (pullResult) => notifyResourceChanges(projectName, pullResult) : null
+    });
+    // Mutating calls are checked against the project's policy before they run
+    clientPool.set(poolKey, guardClient(client, policy, `project "${projectName || projectId}"`));
+  }
+  return clientPool.get(poolKey);
+}
+
+function formatPendingChanges(changes) {
+  if (changes.length === 0) {
+    return 'No uncommitted changes';
+  }
+  return changes.map(c => {
+    const states = [c.staged && `staged: ${c.staged}`, c.unstaged && `unstaged: ${c.unstaged}`].filter(Boolean);
+    const lines = [`=== ${c.oldPath ? `${c.oldPath} → ` : ''}${c.path} (${states.join(', ')}) ===`];
+    if (c.stagedDiff) lines.push(`--- Staged ---\n${c.stagedDiff.trimEnd()}`);
+    if (c.unstagedDiff) lines.push(`--- Not staged ---\n${c.unstagedDiff.trimEnd()}`);
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
 // Tool execution
 server.setRequestHandler(CallToolRequestSchema, async (request) => {
   const { name, arguments: args } = request.params;
@@ -237,71 +915,285 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       };
     }
 
-    // Get project information
-    function getProjectConfig(projectName) {
-      if (projectName && projectsConfig.projects && projectsConfig.projects[projectName]) {
-        return projectsConfig.projects[projectName];
-      }
-      // Use 'default' project as fallback
-      if (projectsConfig.projects && projectsConfig.projects.default) {
-        return projectsConfig.projects.default;
-      }
-      throw new Error('No project configuration found. Please set up projects.json with at least a "default" project.');
-    }
+    const projectConfig = getProjectConfig(args.projectName);
+    const policy = parsePolicy(projectConfig.policy);
+    const client = getClient(projectConfig, {
+      gitToken: args.gitToken,
+      projectId: args.projectId,
+      // An overridden projectId is not a configured project, so it has no resources
+      projectName: args.projectId ? null : resolveProjectName(args.projectName)
+    });
+    
+    switch (name) {
+      case 'list_files':
+        const extensionFilter = args.extension === undefined ? '.tex' : args.extension;
+        const files = await client.listFiles(extensionFilter === '*' ? '' : extensionFilter);
+        return {
+          content: [{
+            type: 'text',
+            text: `Files found: ${files.length}\n\n${files.map(f => `• ${f}`).join('\n')}`
+          }]
+        };
+      
+      case 'read_file':
+        const content = await client.readFile(validateFilePath(args.filePath));
+        return {
+          content: [{
+            type: 'text',
+            text: `File: ${args.filePath}\nSize: ${content.length} characters\n\n${content}`
+          }]
+        };
+      
+      case 'read_binary_file':
+        const binaryPath = validateFilePath(args.filePath);
+        const binaryFile = await client.readBinaryFile(binaryPath, { maxSize: MAX_BINARY_SIZE });
+        const binaryInfo = `File: ${binaryPath}\nType: ${binaryFile.mimeType}\nSize: ${binaryFile.size} bytes`;
+        if (IMAGE_MIME_TYPES.has(binaryFile.mimeType)) {
+          return {
+            content: [
+              { type: 'text', text: binaryInfo },
+              { type: 'image', data: binaryFile.buffer.toString('base64'), mimeType: binaryFile.mimeType }
+            ]
+          };
+        }
+        return {
+          content: [{
+            type: 'text',
+            text: `${binaryInfo}\nEncoding: base64\n\n${binaryFile.buffer.toString('base64')}`
+          }]
+        };
+
+      case 'get_sections':
+        if (!args.filePath) {
+          const documentTree = await client.resolveDocument(args.rootFile ? validateFilePath(args.rootFile) : null);
+          const outlineSummary = documentTree.outline.map((s, i) =>
+            `${i + 1}. [${s.type}] ${s.title} (${s.file}:${s.line})`
+          ).join('\n');
+          return {
+            content: [{
+              type: 'text',
+              text: `Outline of ${documentTree.root} across ${documentTree.files.length} file(s) (${documentTree.outline.length} sections):\n\n${outlineSummary}`
+            }]
+          };
+        }
+        const sections = await client.getSections(validateFilePath(args.filePath));
+        const sectionSummary = sections.map((s, i) => 
+          `${i + 1}. [${s.type}] ${s.title}\n   Content preview: ${s.content.substring(0, 100).replace(/\s+/g, ' ')}...`
+        ).join('\n\n');
+        return {
+          content: [{
+            type: 'text',
+            text: `Sections in ${args.filePath} (${sections.length} total):\n\n${sectionSummary}`
+          }]
+        };
+      
+      case 'get_outline':
+        const outline = await client.getOutline(
+          args.filePath ? validateFilePath(args.filePath) : null,
+          args.rootFile ? validateFilePath(args.rootFile) : null
+        );
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(outline, null, 2)
+          }]
+        };
+
+      case 'get_section_content':
+        const section = args.filePath
+          ? await client.getSection(validateFilePath(args.filePath), args.sectionTitle)
+          : (await client.resolveDocument()).outline.find(s => s.title === args.sectionTitle);
+        if (!section) {
+          throw new Error(`Section "${args.sectionTitle}" not found`);
+        }
+        return {
+          content: [{
+            type: 'text',
+            text: `Section: ${section.title}\nType: ${section.type}\n${section.file ? `Location: ${section.file}:${section.line}\n` : ''}Content length: ${section.content.length} characters\n\n${section.content}`
+          }]
+        };
+
+      case 'get_document_tree':
+        const tree = await client.resolveDocument(args.rootFile ? validateFilePath(args.rootFile) : null);
+        const treeLines = tree.files.map(f => f.includedFrom
+          ? `• ${f.file} (\\${f.includedFrom.command} from ${f.includedFrom.file}:${f.includedFrom.line})`
+          : `• ${f.file} (root)`);
+        const missingLines = tree.missing.map(m => `• ${m.target} (\\${m.command} at ${m.file}:${m.line})`);
+        return {
+          content: [{
+            type: 'text',
+            text: `Document rooted at ${tree.root}: ${tree.files.length} file(s)\n\n${treeLines.join('\n')}` +
+              (missingLines.length ? `\n\n⚠️ Missing included files:\n${missingLines.join('\n')}` : '')
+          }]
+        };
+      
+      case 'search_project':
+        const searchResult = await client.searchProject(args.query, {
+          regex: Boolean(args.regex),
+          caseSensitive: Boolean(args.caseSensitive),
+          extensions: args.extensions,
+          glob: args.glob,
+          contextLines: Math.min(Math.max(args.contextLines || 0, 0), 10),
+          maxResults: Math.min(Math.max(args.maxResults || 200, 1), 1000)
+        });
+        const matchText = searchResult.matches.map(m => {
+          const block = [
+            ...m.before.map((l, k) => `${m.file}-${m.line - m.before.length + k}- ${l}`),
+            `${m.file}:${m.line}: ${m.text}`,
+            ...m.after.map((l, k) => `${m.file}-${m.line + k + 1}- ${l}`)
+          ];
+          return block.join('\n');
+        }).join(args.contextLines ? '\n--\n' : '\n');
+        return {
+          content: [{
+            type: 'text',
+            text: `Matches for "${args.query}": ${searchResult.matches.length}${searchResult.truncated ? ' (truncated)' : ''} in ${searchResult.filesSearched} files searched\n\n${matchText}`
+          }]
+        };
+
+      case 'compile_project':
+        const compileResult = await client.compile({
+          rootFile: args.rootFile ? validateFilePath(args.rootFile) : null,
+          compiler: args.compiler || undefined
+        });
+        const location = (item) => item.file ? `${item.file}${item.line ? `:${item.line}` : ''}` : '(unknown file)';
+        const shownWarnings = args.includeBoxWarnings === false
+          ? compileResult.warnings.filter(w => !w.type.endsWith('-box'))
+          : compileResult.warnings;
+        let compileReport = compileResult.success
+          ? `✅ ${compileResult.root} compiled successfully with ${compileResult.compiler}`
+          : `❌ ${compileResult.root} failed to compile with ${compileResult.compiler} (exit code ${compileResult.exitCode})`;
+        if (compileResult.pdfPath) compileReport += `\nPDF: ${compileResult.pdfPath}`;
+        if (compileResult.errors.length > 0) {
+          compileReport += `\n\nErrors (${compileResult.errors.length}):\n` + compileResult.errors.map(e =>
+            `• ${location(e)}: ${e.message}${e.context ? `\n    ${e.context}` : ''}`
+          ).join('\n');
+        }
+        if (shownWarnings.length > 0) {
+          compileReport += `\n\nWarnings (${shownWarnings.length}):\n` + shownWarnings.map(w =>
+            `• [${w.type}] ${location(w)}: ${w.message}`
+          ).join('\n');
+        }
+        return {
+          content: [{
+            type: 'text',
+            text: compileReport
+          }],
+          isError: !compileResult.success
+        };
 
-    const projectConfig = getProjectConfig(args.projectName);
-    const gitToken = args.gitToken || projectConfig.gitToken;
-    const projectId = args.projectId || projectConfig.projectId;
-    
-    if (!gitToken || !projectId) {
-      throw new Error('Git token and project ID are required. Set in projects.json or environment variables.');
-    }
-    
-    const client = new OverleafGitClient(gitToken, projectId);
-    
-    switch (name) {
-      case 'list_files':
-        const files = await client.listFiles(args.extension || '.tex');
+      case 'list_bib_entries':
+        const bibListing = await client.getBibEntries(args.filePath ? validateFilePath(args.filePath) : null);
+        const bibLines = bibListing.entries.map(e => {
+          const title = getField(e, 'title');
+          const year = getField(e, 'year') || getField(e, 'date');
+          return `• ${e.key} [${e.type}] ${title ? title.replace(/\s+/g, ' ') : '(no title)'}${year ? ` (${year})` : ''} — ${e.file}:${e.line}`;
+        });
+        const bibErrors = bibListing.errors.map(e => `• ${e.file}:${e.line}: ${e.message}`);
         return {
           content: [{
             type: 'text',
-            text: `Files found: ${files.length}\n\n${files.map(f => `• ${f}`).join('\n')}`
+            text: `Bibliography entries: ${bibListing.entries.length}\n\n${bibLines.join('\n')}` +
+              (bibErrors.length ? `\n\n⚠️ Parse errors:\n${bibErrors.join('\n')}` : '')
           }]
         };
-      
-      case 'read_file':
-        const content = await client.readFile(validateFilePath(args.filePath));
+
+      case 'get_bib_entry':
+        if (!args.key || typeof args.key !== 'string') {
+          throw new Error('key must be a non-empty string');
+        }
+        const bibEntry = await client.getBibEntry(args.key);
+        if (!bibEntry) {
+          throw new Error(`Citation key "${args.key}" not found in any .bib file`);
+        }
         return {
           content: [{
             type: 'text',
-            text: `File: ${args.filePath}\nSize: ${content.length} characters\n\n${content}`
+            text: `Entry: ${bibEntry.key}\nLocation: ${bibEntry.file}:${bibEntry.line}\n\n${bibEntry.raw}`
           }]
         };
-      
-      case 'get_sections':
-        const sections = await client.getSections(validateFilePath(args.filePath));
-        const sectionSummary = sections.map((s, i) => 
-          `${i + 1}. [${s.type}] ${s.title}\n   Content preview: ${s.content.substring(0, 100).replace(/\s+/g, ' ')}...`
-        ).join('\n\n');
+
+      case 'check_citations':
+        const citationReport = await client.checkCitations(args.rootFile ? validateFilePath(args.rootFile) : null);
+        const citationSections = [];
+        if (citationReport.missing.length > 0) {
+          citationSections.push(`❌ Missing entries (${citationReport.missing.length}):\n` + citationReport.missing.map(m =>
+            `• ${m.key} — cited at ${m.locations.map(l => `${l.file}:${l.line}`).join(', ')}`
+          ).join('\n'));
+        }
+        if (citationReport.duplicates.length > 0) {
+          citationSections.push(`⚠️ Duplicate entries (${citationReport.duplicates.length}):\n` + citationReport.duplicates.map(d =>
+            `• same ${d.reason}: ${d.entries.map(e => `${e.key} (${e.file}:${e.line})`).join(', ')}`
+          ).join('\n'));
+        }
+        if (citationReport.unused.length > 0) {
+          citationSections.push(`Unused entries (${citationReport.unused.length}):\n` + citationReport.unused.map(u =>
+            `• ${u.key} (${u.file}:${u.line})`
+          ).join('\n'));
+        }
+        if (citationReport.errors.length > 0) {
+          citationSections.push(`⚠️ .bib parse errors:\n` + citationReport.errors.map(e => `• ${e.file}:${e.line}: ${e.message}`).join('\n'));
+        }
+        const citationsClean = citationReport.missing.length === 0 && citationReport.duplicates.length === 0;
         return {
           content: [{
             type: 'text',
-            text: `Sections in ${args.filePath} (${sections.length} total):\n\n${sectionSummary}`
+            text: `${citationsClean ? '✅' : '❌'} ${citationReport.root}: ${citationReport.citations} citation(s) of ${citationReport.citedKeys} key(s), ${citationReport.entries} .bib entries` +
+              (citationSections.length ? `\n\n${citationSections.join('\n\n')}` : '')
           }]
         };
-      
-      case 'get_section_content':
-        const section = await client.getSection(validateFilePath(args.filePath), args.sectionTitle);
-        if (!section) {
-          throw new Error(`Section "${args.sectionTitle}" not found`);
+
+      case 'check_references':
+        const referenceReport = await client.checkReferences();
+        const referenceLocations = (locations) => locations.map(l => `${l.file}:${l.line}`).join(', ');
+        const referenceSections = [];
+        if (referenceReport.missing.length > 0) {
+          referenceSections.push(`❌ Undefined references (${referenceReport.missing.length}):\n` +
+            referenceReport.missing.map(m => `• ${m.key} — referenced at ${referenceLocations(m.locations)}`).join('\n'));
+        }
+        if (referenceReport.duplicates.length > 0) {
+          referenceSections.push(`❌ Duplicate labels (${referenceReport.duplicates.length}):\n` +
+            referenceReport.duplicates.map(d => `• ${d.label} — defined at ${referenceLocations(d.locations)}`).join('\n'));
         }
+        if (args.includeUnreferenced !== false && referenceReport.unreferenced.length > 0) {
+          referenceSections.push(`Unreferenced labels (${referenceReport.unreferenced.length}):\n` +
+            referenceReport.unreferenced.map(u => `• ${u.label} (${u.file}:${u.line})`).join('\n'));
+        }
+        const referencesClean = referenceReport.missing.length === 0 && referenceReport.duplicates.length === 0;
         return {
           content: [{
             type: 'text',
-            text: `Section: ${section.title}\nType: ${section.type}\nContent length: ${section.content.length} characters\n\n${section.content}`
+            text: `${referencesClean ? '✅' : '❌'} ${referenceReport.labels} label(s) and ${referenceReport.references} reference(s) in ${referenceReport.filesScanned} file(s)` +
+              (referenceSections.length ? `\n\n${referenceSections.join('\n\n')}` : '')
           }]
         };
-      
+
+      case 'list_floats':
+        const floatReport = await client.getFloats(args.rootFile ? validateFilePath(args.rootFile) : null);
+        const shownFloats = args.environment
+          ? floatReport.floats.filter(f => f.environment.replace(/\*$/, '') === args.environment)
+          : floatReport.floats;
+        const floatLines = shownFloats.map(f => {
+          const problems = [];
+          if (!f.caption) problems.push('no caption');
+          if (f.labels.length === 0) problems.push('no label');
+          else if (!f.referenced) problems.push('never referenced');
+          if (f.graphics.some(g => !g.exists)) problems.push('missing graphics');
+          const graphicsList = f.graphics.map(g => `${g.exists ? '' : '❌ '}${g.resolved || g.path}`).join(', ');
+          return `• [${f.environment}] ${f.file}:${f.line}${f.labels.length ? ` (${f.labels.join(', ')})` : ''}\n` +
+            `    Caption: ${f.caption || '(none)'}` +
+            (graphicsList ? `\n    Graphics: ${graphicsList}` : '') +
+            (problems.length ? `\n    ⚠️ ${problems.join(', ')}` : '');
+        });
+        const missingGraphicLines = floatReport.missingGraphics.map(g => `• ${g.path} (${g.file}:${g.line})`);
+        return {
+          content: [{
+            type: 'text',
+            text: `Floats in ${floatReport.root}: ${shownFloats.length}\n\n${floatLines.join('\n')}` +
+              (missingGraphicLines.length ? `\n\n❌ Missing graphics files:\n${missingGraphicLines.join('\n')}` : '')
+          }]
+        };
+
       case 'write_file':
         const validatedFilePath = validateFilePath(args.filePath);
         const validatedContent = validateContent(args.content);
@@ -313,6 +1205,87 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           }]
         };
 
+      case 'upload_file':
+        const uploadPath = validateFilePath(args.filePath);
+        const uploadBuffer = validateBase64(args.contentBase64);
+        await client.writeBinaryFile(uploadPath, uploadBuffer);
+        return {
+          content: [{
+            type: 'text',
+            text: `✅ File '${uploadPath}' uploaded successfully (${uploadBuffer.length} bytes)`
+          }]
+        };
+
+      case 'edit_file':
+        const editPath = validateFilePath(args.filePath);
+        if (!args.oldString || typeof args.oldString !== 'string') {
+          throw new Error('oldString must be a non-empty string');
+        }
+        const replacements = await client.editFile(
+          editPath,
+          args.oldString,
+          validateContent(args.newString),
+          { replaceAll: Boolean(args.replaceAll) }
+        );
+        return {
+          content: [{
+            type: 'text',
+            text: `✅ File '${editPath}' edited successfully (${replacements} replacement${replacements === 1 ? '' : 's'})`
+          }]
+        };
+
+      case 'apply_patch':
+        if (!args.patch || typeof args.patch !== 'string') {
+          throw new Error('patch must be a non-empty string');
+        }
+        const patchResult = await client.applyPatch(validateContent(args.patch), { dryRun: Boolean(args.dryRun) });
+        const patchReport = patchResult.files.map(f => {
+          const hunkLines = f.hunks.map(h => h.status === 'applied'
+            ? `   hunk ${h.index + 1}: applied${h.offset ? ` (offset ${h.offset} lines)` : ''}`
+            : `   hunk ${h.index + 1}: FAILED - ${h.message}`);
+          if (f.error) hunkLines.push(`   ${f.error}`);
+          return `${f.ok ? '✓' : '✗'} ${f.path} (${f.action})\n${hunkLines.join('\n')}`;
+        }).join('\n');
+        const patchOk = patchResult.files.every(f => f.ok);
+        let patchHeadline;
+        if (!patchOk) {
+          patchHeadline = '❌ Patch does not apply; no files were changed';
+        } else if (patchResult.dryRun) {
+          patchHeadline = '✅ Dry run: patch applies cleanly';
+        } else {
+          patchHeadline = `✅ Patch applied to ${patchResult.files.length} file(s)`;
+        }
+        return {
+          content: [{
+            type: 'text',
+            text: `${patchHeadline}\n\n${patchReport}`
+          }],
+          isError: !patchOk
+        };
+
+      case 'replace_in_project':
+        const replaceResult = await client.replaceInProject(args.query, validateContent(args.replacement), {
+          regex: Boolean(args.regex),
+          caseSensitive: args.caseSensitive !== false,
+          extensions: args.extensions,
+          glob: args.glob,
+          dryRun: args.confirm !== true
+        });
+        const replacePreview = replaceResult.files.map(f => {
+          const shown = f.preview.slice(0, 20).map(p => `   ${p.line}: - ${p.before}\n   ${p.line}: + ${p.after}`);
+          if (f.preview.length > 20) shown.push(`   ... and ${f.preview.length - 20} more changed lines`);
+          return `• ${f.file} (${f.count} replacement${f.count === 1 ? '' : 's'})\n${shown.join('\n')}`;
+        }).join('\n\n');
+        const replaceHeadline = replaceResult.applied
+          ? `✅ Replaced ${replaceResult.totalReplacements} occurrence(s) in ${replaceResult.files.length} file(s)`
+          : `🔍 Preview: ${replaceResult.totalReplacements} occurrence(s) in ${replaceResult.files.length} file(s) would change. Call again with confirm: true to write.`;
+        return {
+          content: [{
+            type: 'text',
+            text: `${replaceHeadline}\n\n${replacePreview}`
+          }]
+        };
+
       case 'delete_file':
         const fileToDelete = validateFilePath(args.filePath);
         await client.deleteFile(fileToDelete);
@@ -323,9 +1296,124 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           }]
         };
 
+      case 'move_file':
+        const moveResult = await client.moveFile(validateFilePath(args.from), validateFilePath(args.to), { dryRun: Boolean(args.dryRun) });
+        const movedList = moveResult.moved.map(m => `• ${m.from} → ${m.to}`).join('\n');
+        const referenceList = moveResult.updated.flatMap(u =>
+          u.changes.map(c => `• ${u.file}:${c.line}: ${c.before} → ${c.after}`)
+        ).join('\n');
+        return {
+          content: [{
+            type: 'text',
+            text: [
+              moveResult.dryRun
+                ? `🔍 Dry run: '${moveResult.from}' would move to '${moveResult.to}'`
+                : `✅ Moved '${moveResult.from}' to '${moveResult.to}' (not yet committed)`,
+              `Files (${moveResult.moved.length}):\n${movedList}`,
+              moveResult.updated.length > 0
+                ? `References ${moveResult.dryRun ? 'to update' : 'updated'}:\n${referenceList}`
+                : 'No references needed updating'
+            ].join('\n\n')
+          }]
+        };
+
+      case 'replace_section':
+        const replacePath = validateFilePath(args.filePath);
+        const replacedSection = await client.replaceSection(
+          replacePath,
+          args.sectionTitle,
+          validateContent(args.content),
+          { append: args.mode === 'append' }
+        );
+        return {
+          content: [{
+            type: 'text',
+            text: `✅ Section '${replacedSection.title}' in '${replacePath}' ${args.mode === 'append' ? 'appended to' : 'replaced'} successfully`
+          }]
+        };
+
+      case 'insert_section':
+        const insertPath = validateFilePath(args.filePath);
+        const insertPosition = args.position || 'after';
+        await client.insertSection(insertPath, args.anchorTitle, validateContent(args.content), insertPosition);
+        return {
+          content: [{
+            type: 'text',
+            text: `✅ Section inserted ${insertPosition} '${args.anchorTitle}' in '${insertPath}'`
+          }]
+        };
+
+      case 'delete_section':
+        const deleteSectionPath = validateFilePath(args.filePath);
+        const deletedSection = await client.deleteSection(deleteSectionPath, args.sectionTitle);
+        return {
+          content: [{
+            type: 'text',
+            text: `✅ Section '${deletedSection.title}' deleted from '${deleteSectionPath}'`
+          }]
+        };
+
+      case 'add_bib_entry':
+        const bibPath = validateFilePath(args.filePath);
+        const bibResult = await client.upsertBibEntry(bibPath, validateContent(args.entry), { replace: Boolean(args.replace) });
+        return {
+          content: [{
+            type: 'text',
+            text: `✅ Entry '${bibResult.key}' ${bibResult.action} in '${bibResult.file}'`
+          }]
+        };
+
+      case 'format_bib':
+        const formatPath = validateFilePath(args.filePath);
+        const formatResult = await client.formatBibFile(formatPath, { sort: Boolean(args.sort), dryRun: Boolean(args.dryRun) });
+        let formatReport;
+        if (!formatResult.changed) {
+          formatReport = `✅ '${formatPath}' is already formatted`;
+        } else if (formatResult.dryRun) {
+          formatReport = `Dry run: '${formatPath}' would be reformatted to:\n\n${formatResult.content}`;
+        } else {
+          formatReport = `✅ '${formatPath}' formatted${args.sort ? ' and sorted by key' : ''}`;
+        }
+        return {
+          content: [{
+            type: 'text',
+            text: formatReport
+          }]
+        };
+
+      case 'preview_changes':
+        const pendingChanges = await client.getPendingChanges(args.filePath ? validateFilePath(args.filePath) : null);
+        return {
+          content: [{
+            type: 'text',
+            text: formatPendingChanges(pendingChanges)
+          }]
+        };
+
+      case 'stage_files':
+        const stagedState = await client.stage(validatePaths(args.paths));
+        return {
+          content: [{
+            type: 'text',
+            text: `✅ Staged ${args.paths.join(', ')}\n\n${formatPendingChanges(stagedState)}`
+          }]
+        };
+
+      case 'unstage_files':
+        const unstagedState = await client.unstage(validatePaths(args.paths));
+        return {
+          content: [{
+            type: 'text',
+            text: `✅ Unstaged ${args.paths.join(', ')}\n\n${formatPendingChanges(unstagedState)}`
+          }]
+        };
+
       case 'commit_changes':
         const validatedMessage = validateCommitMessage(args.message);
-        const commitResult = await client.commit(validatedMessage);
+        const commitResult = await client.commit(validatedMessage, {
+          paths: args.paths === undefined ? null : validatePaths(args.paths),
+          stagedOnly: Boolean(args.stagedOnly)
+        });
         return {
           content: [{
             type: 'text',
@@ -334,6 +1422,14 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
 
       case 'push_changes':
+        if (policy.requirePushConfirmation && args.confirm !== true) {
+          return {
+            content: [{
+              type: 'text',
+              text: '⚠️ This project requires confirmation before pushing to Overleaf. Review the pending commits with git_log and git_status, then call push_changes again with confirm: true.'
+            }]
+          };
+        }
         const pushResult = await client.push();
         return {
           content: [{
@@ -342,6 +1438,44 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           }]
         };
 
+      case 'sync_changes':
+        if (policy.requirePushConfirmation && args.confirm !== true) {
+          return {
+            content: [{
+              type: 'text',
+              text: '⚠️ This project requires confirmation before pushing to Overleaf. Review the uncommitted changes with git_diff, then call sync_changes again with confirm: true.'
+            }]
+          };
+        }
+        const syncResult = await client.syncChanges(validateCommitMessage(args.message), {
+          maxAttempts: Math.min(Math.max(args.maxAttempts || 3, 1), 5)
+        });
+        return {
+          content: [{
+            type: 'text',
+            text: `✅ Changes synced to Overleaf${syncResult.attempts > 1 ? ` after ${syncResult.attempts} attempts` : ''}:\n${syncResult.commit}`
+          }]
+        };
+
+      case 'refresh':
+        const refreshResult = await client.cloneOrPull({ force: true });
+        const refreshMessages = {
+          'cloned': '✅ Project cloned from Overleaf',
+          'up-to-date': '✅ Already up to date with Overleaf',
+          'fast-forward': '✅ Pulled changes from Overleaf',
+          'merged': '✅ Merged changes from Overleaf with local commits'
+        };
+        let refreshText = refreshMessages[refreshResult.action] || `⚠️ ${refreshResult.message}`;
+        if (refreshResult.changedFiles && refreshResult.changedFiles.length > 0) {
+          refreshText += `\n\nChanged files:\n${refreshResult.changedFiles.map(f => `• ${f}`).join('\n')}`;
+        }
+        return {
+          content: [{
+            type: 'text',
+            text: refreshText
+          }]
+        };
+
       case 'git_status':
         const statusResult = await client.status();
         return {
@@ -351,28 +1485,171 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           }]
         };
 
+      case 'git_log':
+        const commits = await client.log({
+          filePath: args.filePath ? validateFilePath(args.filePath) : null,
+          limit: Math.min(Math.max(args.limit || 20, 1), 200),
+          since: args.since
+        });
+        const commitList = commits.map(c =>
+          `• ${c.hash.substring(0, 8)} ${c.date} ${c.author} <${c.email}>\n  ${c.message}`
+        ).join('\n');
+        return {
+          content: [{
+            type: 'text',
+            text: `📜 ${commits.length} commit(s)${args.filePath ? ` touching ${args.filePath}` : ''}:\n\n${commitList}`
+          }]
+        };
+
+      case 'git_show':
+        const showResult = await client.show(args.revision);
+        return {
+          content: [{
+            type: 'text',
+            text: showResult
+          }]
+        };
+
+      case 'git_diff':
+        const diffResult = await client.diff({
+          from: args.from || 'HEAD',
+          to: args.to,
+          filePath: args.filePath ? validateFilePath(args.filePath) : null
+        });
+        return {
+          content: [{
+            type: 'text',
+            text: diffResult || 'No differences'
+          }]
+        };
+
+      case 'discard_changes':
+        const discardPath = validateFilePath(args.filePath);
+        await client.discardChanges(discardPath);
+        return {
+          content: [{
+            type: 'text',
+            text: `✅ Uncommitted changes to '${discardPath}' discarded`
+          }]
+        };
+
+      case 'restore_file':
+        const restorePath = validateFilePath(args.filePath);
+        await client.restoreFile(restorePath, args.revision);
+        return {
+          content: [{
+            type: 'text',
+            text: `✅ '${restorePath}' restored from ${args.revision} (not yet committed)`
+          }]
+        };
+
+      case 'revert_commit':
+        const revertResult = await client.revertCommit(args.revision);
+        return {
+          content: [{
+            type: 'text',
+            text: `✅ Reverted ${args.revision}:\n${revertResult}`
+          }]
+        };
+
+      case 'get_conflicts':
+        const conflictState = await client.getConflicts();
+        const shownConflicts = args.filePath
+          ? conflictState.conflicts.filter(c => c.file === validateFilePath(args.filePath))
+          : conflictState.conflicts;
+        if (shownConflicts.length === 0) {
+          return {
+            content: [{
+              type: 'text',
+              text: conflictState.mergeInProgress
+                ? 'No unresolved conflicts. Use finish_merge to complete the merge.'
+                : 'No merge in progress'
+            }]
+          };
+        }
+        const conflictText = shownConflicts.map(c => [
+          `=== ${c.file} ===`,
+          `--- Local version (ours) ---\n${c.ours ?? '(deleted)'}`,
+          `--- Overleaf version (theirs) ---\n${c.theirs ?? '(deleted)'}`,
+          `--- Common ancestor (base) ---\n${c.base ?? '(none)'}`
+        ].join('\n\n')).join('\n\n');
+        return {
+          content: [{
+            type: 'text',
+            text: `⚠️ ${shownConflicts.length} conflicted file(s):\n\n${conflictText}`
+          }]
+        };
+
+      case 'resolve_conflict':
+        const conflictPath = validateFilePath(args.filePath);
+        await client.resolveConflict(
+          conflictPath,
+          args.resolution,
+          args.content === undefined ? null : validateContent(args.content)
+        );
+        const remainingConflicts = (await client.getConflicts()).conflicts.length;
+        return {
+          content: [{
+            type: 'text',
+            text: `✅ Resolved '${conflictPath}' using ${args.resolution}. ${remainingConflicts === 0 ? 'All conflicts resolved; use finish_merge to commit the merge.' : `${remainingConflicts} conflict(s) remaining.`}`
+          }]
+        };
+
+      case 'finish_merge':
+        const mergeResult = await client.finishMerge(args.message ? validateCommitMessage(args.message) : null);
+        return {
+          content: [{
+            type: 'text',
+            text: `✅ Merge committed:\n${mergeResult}`
+          }]
+        };
+
+      case 'abort_merge':
+        await client.abortMerge();
+        return {
+          content: [{
+            type: 'text',
+            text: '✅ Merge aborted; the project is back to its state before the pull'
+          }]
+        };
+
       case 'status_summary':
         // Project status summary
         const allFiles = await client.listFiles('.tex');
         const projectName = projectConfig.name || 'Unknown Project';
         let summary = `📄 ${projectName} Status Summary\n\n`;
-        summary += `Project ID: ${projectId}\n`;
+        summary += `Project ID: ${client.projectId}\n`;
+        summary += `Local copy: ${client.freshness().description}\n`;
+        const policyLines = describePolicy(policy);
+        if (policyLines.length > 0) {
+          summary += `Policy: ${policyLines.join('; ')}\n`;
+        }
         summary += `Total .tex files: ${allFiles.length}\n`;
         summary += `Files: ${allFiles.join(', ')}\n\n`;
         
         if (allFiles.length > 0) {
-          const mainFile = allFiles.find(f => f.includes('main')) || allFiles[0];
-          const sections = await client.getSections(mainFile);
-          summary += `📋 Structure of ${mainFile}:\n`;
+          let documentOutline = null;
+          try {
+            documentOutline = await client.resolveDocument();
+          } catch (err) {
+            // Projects without a \documentclass fall back to the first main-looking file
+          }
+          const mainFile = documentOutline ? documentOutline.root : (allFiles.find(f => f.includes('main')) || allFiles[0]);
+          const sections = documentOutline ? documentOutline.outline : await client.getSections(mainFile);
+          summary += `📋 Structure of ${mainFile}`;
+          summary += documentOutline ? ` (including ${documentOutline.files.length - 1} included file(s)):\n` : ':\n';
           summary += `Total sections: ${sections.length}\n\n`;
           
           sections.slice(0, 10).forEach((s, i) => {
-            summary += `${i + 1}. [${s.type}] ${s.title}\n`;
+            summary += `${i + 1}. [${s.type}] ${s.title}${s.file ? ` (${s.file})` : ''}\n`;
           });
           
           if (sections.length > 10) {
             summary += `... and ${sections.length - 10} more sections\n`;
           }
+          if (documentOutline && documentOutline.missing.length > 0) {
+            summary += `\n⚠️ Missing included files: ${documentOutline.missing.map(m => m.target).join(', ')}\n`;
+          }
         }
         
         return {
@@ -394,9 +1671,21 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     if (error.message.includes('Authentication') || error.message.includes('403')) {
       errorType = 'Authentication Error';
       errorMessage = `${error.message}\n\n💡 Tip: Check your Git token in projects.json`;
+    } else if (error.message.includes('not installed or not on PATH')) {
+      errorType = 'Compiler Error';
+      errorMessage = `${error.message}\n\n💡 Tip: Install a TeX distribution (e.g. TeX Live) or set "compiler" in projects.json`;
+    } else if (error.message.includes('Policy violation')) {
+      errorType = 'Policy Error';
+      errorMessage = `${error.message}\n\n💡 Tip: The "policy" settings for this project in projects.json do not allow this change`;
+    } else if (error.message.includes('Lock timeout')) {
+      errorType = 'Lock Timeout';
+      errorMessage = `${error.message}\n\n💡 Tip: Another tool call or server instance is working on this project; try again when it finishes, or raise "lockTimeoutSeconds" in projects.json`;
     } else if (error.message.includes('timeout')) {
       errorType = 'Timeout Error';
       errorMessage = `${error.message}\n\n💡 Tip: Check your network connection`;
+    } else if (error.message.includes('Merge conflict')) {
+      errorType = 'Merge Conflict';
+      errorMessage = `${error.message}\n\n💡 Tip: A collaborator edited the same lines on Overleaf`;
     } else if (error.message.includes('No project configuration')) {
       errorType = 'Configuration Error';
       errorMessage = `${error.message}\n\n💡 Tip: Set up projects.json with your Overleaf credentials`;
@@ -414,6 +1703,121 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   }
 });
 
+// Resources: every file of every configured project, as overleaf://<projectName>/<path>
+const resourceSubscriptions = new Set();
+
+function notifyResourceChanges(projectName, pullResult) {
+  const changed = new Set(pullResult.changedFiles);
+  for (const uri of resourceSubscriptions) {
+    const target = parseResourceUri(uri);
+    if (target.projectName === projectName && changed.has(target.filePath)) {
+      server.sendResourceUpdated({ uri }).catch(() => {});
+    }
+  }
+  if (pullResult.filesAddedOrRemoved) {
+    server.sendResourceListChanged().catch(() => {});
+  }
+}
+
+function getResourceClient(projectName) {
+  const projectConfig = projectsConfig.projects && projectsConfig.projects[projectName];
+  if (!projectConfig) {
+    throw new Error(`Unknown project "${projectName}". Use list_projects to see configured projects.`);
+  }
+  return getClient(projectConfig, { projectName });
+}
+
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+  const resources = [];
+  for (const projectName of Object.keys(projectsConfig.projects || {})) {
+    try {
+      const client = getResourceClient(projectName);
+      const files = (await client.listFiles('')).map(f => f.split(path.sep).join('/')).sort();
+      for (const file of files) {
+        resources.push({
+          uri: buildResourceUri(projectName, file),
+          name: `${projectName}/${file}`,
+          mimeType: client.getMimeType(file)
+        });
+      }
+    } catch (error) {
+      // One unreachable project should not hide the others
+      process.stderr.write(`Could not list resources for project "${projectName}": ${error.message}\n`);
+    }
+  }
+  return { resources };
+});
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+  return {
+    resourceTemplates: [
+      {
+        uriTemplate: 'overleaf://{projectName}/{+filePath}',
+        name: 'Project file',
+        description: 'Any file in a configured Overleaf project (projectName is the key in projects.json)'
+      },
+      {
+        uriTemplate: 'overleaf://{projectName}/{+filePath}{?section}',
+        name: 'LaTeX section',
+        description: 'The body of one section of a LaTeX file, by section title',
+        mimeType: 'text/x-tex'
+      }
+    ]
+  };
+});
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+  const target = parseResourceUri(uri);
+  const client = getResourceClient(target.projectName);
+
+  if (target.section) {
+    const section = await client.getSection(target.filePath, target.section);
+    if (!section) {
+      throw new Error(`Section "${target.section}" not found in ${target.filePath}`);
+    }
+    return { contents: [{ uri, mimeType: 'text/x-tex', text: section.content }] };
+  }
+
+  const file = await client.readBinaryFile(target.filePath, { maxSize: MAX_BINARY_SIZE });
+  const isText = file.mimeType.startsWith('text/') || (file.mimeType === 'application/octet-stream' && !file.buffer.includes(0));
+  return {
+    contents: [isText
+      ? { uri, mimeType: file.mimeType, text: file.buffer.toString('utf8') }
+      : { uri, mimeType: file.mimeType, blob: file.buffer.toString('base64') }]
+  };
+});
+
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  const target = parseResourceUri(request.params.uri);
+  getResourceClient(target.projectName);
+  resourceSubscriptions.add(request.params.uri);
+  return {};
+});
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  resourceSubscriptions.delete(request.params.uri);
+  return {};
+});
+
+// Prompts for common paper-writing workflows; each pulls its text from the chosen project
+server.setRequestHandler(ListPromptsRequestSchema, async () => {
+  return { prompts: PROMPTS };
+});
+
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+  const { name, arguments: promptArgs = {} } = request.params;
+  if (!PROMPTS.some(p => p.name === name)) {
+    throw new Error(`Unknown prompt: ${name}`);
+  }
+  const projectConfig = getProjectConfig(promptArgs.projectName);
+  const client = getClient(projectConfig, { projectName: resolveProjectName(promptArgs.projectName) });
+  return await getPrompt(name, {
+    ...promptArgs,
+    filePath: promptArgs.filePath ? validateFilePath(promptArgs.filePath) : null
+  }, client);
+});
+
 // Start server
 async function main() {
   const transport = new StdioServerTransport();
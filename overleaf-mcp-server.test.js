@@ -24,6 +24,23 @@ function validateContent(content) {
   return content;
 }
 
+const MAX_BINARY_SIZE = 10 * 1024 * 1024;
+
+function validateBase64(content) {
+  if (typeof content !== 'string' || content.trim() === '') {
+    throw new Error('contentBase64 must be a non-empty string');
+  }
+  const encoded = content.replace(/^data:[^;,]*;base64,/, '').replace(/\s+/g, '');
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(encoded) || encoded.length % 4 !== 0) {
+    throw new Error('contentBase64 must be valid base64');
+  }
+  const buffer = Buffer.from(encoded, 'base64');
+  if (buffer.length > MAX_BINARY_SIZE) {
+    throw new Error('contentBase64 exceeds maximum size of 10MB');
+  }
+  return buffer;
+}
+
 function validateCommitMessage(message) {
   if (!message || typeof message !== 'string') {
     throw new Error('commit message must be a non-empty string');
@@ -34,6 +51,13 @@ function validateCommitMessage(message) {
   return message.trim();
 }
 
+function validatePaths(paths) {
+  if (!Array.isArray(paths) || paths.length === 0) {
+    throw new Error('paths must be a non-empty array of file paths');
+  }
+  return paths.map(validateFilePath);
+}
+
 describe('validateFilePath', () => {
   it('rejects null/undefined/empty', () => {
     assert.throws(() => validateFilePath(null), /non-empty string/);
@@ -87,6 +111,25 @@ describe('validateContent', () => {
   });
 });
 
+describe('validateBase64', () => {
+  it('decodes base64 and data URLs', () => {
+    assert.strictEqual(validateBase64('aGVsbG8=').toString(), 'hello');
+    assert.strictEqual(validateBase64('data:image/png;base64,aGVs\nbG8=').toString(), 'hello');
+  });
+
+  it('rejects empty and malformed content', () => {
+    assert.throws(() => validateBase64(''), /non-empty string/);
+    assert.throws(() => validateBase64(42), /non-empty string/);
+    assert.throws(() => validateBase64('not base64!'), /valid base64/);
+    assert.throws(() => validateBase64('abc'), /valid base64/);
+  });
+
+  it('rejects content over 10MB', () => {
+    const big = Buffer.alloc(10 * 1024 * 1024 + 1).toString('base64');
+    assert.throws(() => validateBase64(big), /exceeds maximum size/);
+  });
+});
+
 describe('validateCommitMessage', () => {
   it('rejects null/undefined/empty', () => {
     assert.throws(() => validateCommitMessage(null), /non-empty string/);
@@ -112,3 +155,16 @@ describe('validateCommitMessage', () => {
     assert.strictEqual(validateCommitMessage(exact), exact);
   });
 });
+
+describe('validatePaths', () => {
+  it('rejects a missing or empty list', () => {
+    assert.throws(() => validatePaths(undefined), /non-empty array/);
+    assert.throws(() => validatePaths('main.tex'), /non-empty array/);
+    assert.throws(() => validatePaths([]), /non-empty array/);
+  });
+
+  it('validates every path', () => {
+    assert.deepStrictEqual(validatePaths(['main.tex', ' figures/plot.png ']), ['main.tex', 'figures/plot.png']);
+    assert.throws(() => validatePaths(['main.tex', '../etc/passwd']), /cannot contain/);
+  });
+});
@@ -0,0 +1,202 @@
+// MCP prompts for recurring paper-writing chores. Each prompt pulls the text it
+// works on from the project through OverleafGitClient, so clients only supply
+// a section title and a few options.
+
+const PROJECT_ARGUMENT = { name: 'projectName', description: 'Project name from projects.json (optional, defaults to "default")', required: false };
+const FILE_ARGUMENT = { name: 'filePath', description: 'File containing the section (optional, searches the whole document)', required: false };
+
+const PROMPTS = [
+    {
+        name: 'review_section',
+        description: 'Review a section for clarity, structure and concision',
+        arguments: [
+            { name: 'sectionTitle', description: 'Title of the section to review', required: true },
+            FILE_ARGUMENT,
+            PROJECT_ARGUMENT
+        ]
+    },
+    {
+        name: 'tighten_abstract',
+        description: 'Rewrite the abstract to fit a word limit without losing its claims',
+        arguments: [
+            { name: 'wordCount', description: 'Maximum number of words', required: true },
+            { name: 'filePath', description: 'File containing the abstract (optional, searches the whole document)', required: false },
+            PROJECT_ARGUMENT
+        ]
+    },
+    {
+        name: 'respond_to_reviewer',
+        description: 'Draft a response to a reviewer comment and the matching revision of a section',
+        arguments: [
+            { name: 'comment', description: 'The reviewer comment, verbatim', required: true },
+            { name: 'sectionTitle', description: 'Title of the section the comment is about', required: true },
+            FILE_ARGUMENT,
+            PROJECT_ARGUMENT
+        ]
+    },
+    {
+        name: 'camera_ready_checklist',
+        description: 'Walk through a camera-ready checklist for the whole paper',
+        arguments: [
+            { name: 'venue', description: 'Conference or journal, to include its specific requirements (optional)', required: false },
+            PROJECT_ARGUMENT
+        ]
+    }
+];
+
+// Rough word count of LaTeX source: comments, commands and the keys of
+// citations, references and labels are not words
+function countWords(text) {
+    return text
+        .replace(/(^|[^\\])%[^\n]*/g, '$1')
+        .replace(/\\[a-zA-Z]*(cite|ref|label)[a-zA-Z]*\*?(\s*\[[^\]]*\])*\s*\{[^}]*\}/g, ' ')
+        .replace(/\\[a-zA-Z]+\*?/g, ' ')
+        .replace(/[{}$\\~]/g, ' ')
+        .split(/\s+/)
+        .filter(word => /[a-zA-Z0-9]/.test(word)).length;
+}
+
+function latexBlock(text) {
+    return `\`\`\`latex\n${text}\n\`\`\``;
+}
+
+function requireArgument(args, name) {
+    if (!args[name] || typeof args[name] !== 'string' || !args[name].trim()) {
+        throw new Error(`${name} must be a non-empty string`);
+    }
+    return args[name].trim();
+}
+
+async function findSection(client, sectionTitle, filePath) {
+    const section = filePath
+        ? await client.getSection(filePath, sectionTitle)
+        : (await client.resolveDocument()).outline.find(s => s.title === sectionTitle);
+    if (!section) {
+        throw new Error(`Section "${sectionTitle}" not found${filePath ? ` in ${filePath}` : ''}`);
+    }
+    return { ...section, file: section.file || filePath, line: section.line || section.startLine };
+}
+
+function userMessage(text) {
+    return { role: 'user', content: { type: 'text', text } };
+}
+
+const BUILDERS = {
+    async review_section(args, client) {
+        const section = await findSection(client, requireArgument(args, 'sectionTitle'), args.filePath);
+        return {
+            description: `Review of "${section.title}"`,
+            messages: [userMessage([
+                `Review the section "${section.title}" (${section.file}:${section.line}) of my paper for clarity.`,
+                '',
+                'Point out, with the sentence they occur in:',
+                '- sentences that are hard to follow or ambiguous',
+                '- claims that need a citation, a number or a forward reference',
+                '- paragraphs whose point is unclear or that repeat earlier material',
+                '- jargon or notation used before it is defined',
+                '- wordy phrasing that can be cut',
+                '',
+                'Then suggest concrete rewrites. Keep the LaTeX markup, labels and citations intact, and do not change the meaning of any claim.',
+                '',
+                latexBlock(section.content)
+            ].join('\n'))]
+        };
+    },
+
+    async tighten_abstract(args, client) {
+        const limit = parseInt(requireArgument(args, 'wordCount'), 10);
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new Error('wordCount must be a positive integer');
+        }
+        const abstract = await client.getAbstract(args.filePath || null);
+        if (!abstract) {
+            throw new Error('No abstract found (looked for an abstract environment or an "Abstract" section)');
+        }
+        const current = countWords(abstract.text);
+        return {
+            description: `Tighten the abstract to ${limit} words`,
+            messages: [userMessage([
+                `Tighten the abstract of my paper (${abstract.file}:${abstract.line}) to at most ${limit} words. It is currently about ${current} words.`,
+                '',
+                'Keep the problem, the approach, the key quantitative results and the main contribution. Cut background, hedging and repetition first. Keep citations and macros as they are, and do not add claims that are not in the original.',
+                '',
+                'Reply with the rewritten abstract as LaTeX, followed by its word count.',
+                '',
+                latexBlock(abstract.text)
+            ].join('\n'))]
+        };
+    },
+
+    async respond_to_reviewer(args, client) {
+        const comment = requireArgument(args, 'comment');
+        const section = await findSection(client, requireArgument(args, 'sectionTitle'), args.filePath);
+        return {
+            description: `Response to a reviewer comment on "${section.title}"`,
+            messages: [userMessage([
+                `A reviewer made the following comment about the section "${section.title}" (${section.file}:${section.line}):`,
+                '',
+                comment.split('\n').map(line => `> ${line}`).join('\n'),
+                '',
+                'Please:',
+                '1. Say whether the comment is fully, partly or not addressed by the current text, and why.',
+                '2. Propose a minimal revision of the section that addresses it, as LaTeX.',
+                '3. Draft a short, courteous reply for the rebuttal letter that summarizes the change and quotes the revised text.',
+                '',
+                'Do not invent experiments or results; if the comment needs new work, say so in the reply.',
+                '',
+                'Current section text:',
+                '',
+                latexBlock(section.content)
+            ].join('\n'))]
+        };
+    },
+
+    async camera_ready_checklist(args, client) {
+        const document = await client.resolveDocument();
+        const abstract = await client.getAbstract();
+        const topLevel = Math.min(...document.outline.map(s => s.level));
+        const outline = document.outline.map(s => `${'  '.repeat(s.level - topLevel)}- ${s.title} (${s.file}:${s.line})`);
+        const markers = await client.searchProject('\\\\todo\\b|\\b(TODO|FIXME|XXX)\\b', {
+            regex: true,
+            caseSensitive: true,
+            extensions: ['.tex'],
+            maxResults: 50
+        });
+        const venue = args.venue && args.venue.trim();
+        return {
+            description: `Camera-ready checklist${venue ? ` for ${venue}` : ''}`,
+            messages: [userMessage([
+                `Help me prepare the camera-ready version of my paper${venue ? ` for ${venue}` : ''}, rooted at ${document.root}. Go through this checklist, using the Overleaf tools to check each item, and report what still needs doing:`,
+                '',
+                '1. The paper compiles without errors or undefined references (compile_project).',
+                '2. Every citation has a bibliography entry and there are no duplicate entries (check_citations).',
+                '3. No undefined references or duplicate labels (check_references).',
+                '4. Every figure and table has a caption, a label and is referenced in the text, and all graphics files exist (list_floats).',
+                '5. No TODO/FIXME notes or \\todo commands remain.',
+                '6. Anonymization is removed: author names, affiliations, acknowledgements and funding are present, and self-citations are no longer anonymized.',
+                '7. The abstract matches the version submitted to the venue system.',
+                `8. Page limit, template, copyright notice and other ${venue || 'venue'}-specific requirements are met.`,
+                '',
+                `Document outline (${document.files.length} file(s)):`,
+                ...outline,
+                '',
+                abstract ? `Abstract (${abstract.file}:${abstract.line}, about ${countWords(abstract.text)} words):` : 'No abstract found.',
+                ...(abstract ? ['', latexBlock(abstract.text)] : []),
+                '',
+                markers.matches.length > 0
+                    ? `Open TODO markers (${markers.matches.length}${markers.truncated ? '+' : ''}):\n${markers.matches.map(m => `- ${m.file}:${m.line}: ${m.text.trim()}`).join('\n')}`
+                    : 'No TODO markers found.'
+            ].join('\n'))]
+        };
+    }
+};
+
+async function getPrompt(name, args, client) {
+    const builder = BUILDERS[name];
+    if (!builder) {
+        throw new Error(`Unknown prompt: ${name}`);
+    }
+    return await builder(args || {}, client);
+}
+
+module.exports = { PROMPTS, getPrompt, countWords };
@@ -0,0 +1,72 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { PROMPTS, getPrompt, countWords } = require('./paper-prompts.js');
+
+// Stands in for OverleafGitClient with a two-section document
+function fakeClient() {
+  const outline = [
+    { type: 'section', level: 2, title: 'Introduction', content: 'We study \\emph{X}.', file: 'main.tex', line: 3 },
+    { type: 'subsection', level: 3, title: 'Scope', content: 'Only Y.', file: 'intro.tex', line: 1 }
+  ];
+  return {
+    async resolveDocument() {
+      return { root: 'main.tex', files: [{ file: 'main.tex' }, { file: 'intro.tex' }], outline };
+    },
+    async getSection(filePath, title) {
+      const section = outline.find(s => s.file === filePath && s.title === title);
+      return section && { ...section, file: undefined, line: undefined, startLine: section.line };
+    },
+    async getAbstract() {
+      return { file: 'main.tex', line: 2, text: 'We present a method \\cite{a} that is fast. % draft' };
+    },
+    async searchProject() {
+      return { matches: [{ file: 'intro.tex', line: 4, text: '  \\todo{add numbers}' }], truncated: false };
+    }
+  };
+}
+
+const textOf = prompt => prompt.messages[0].content.text;
+
+describe('countWords', () => {
+  it('ignores commands, citation keys and comments', () => {
+    assert.strictEqual(countWords('We present \\emph{a} method \\citep[p.~2]{x}, see \\cref{sec:a}. % not counted'), 5);
+  });
+});
+
+describe('getPrompt', () => {
+  it('declares every prompt it can build', async () => {
+    for (const prompt of PROMPTS) {
+      assert.ok(prompt.arguments.some(a => a.name === 'projectName'), prompt.name);
+    }
+    await assert.rejects(() => getPrompt('nope', {}, fakeClient()), /Unknown prompt/);
+  });
+
+  it('reviews a section found anywhere in the document or in a given file', async () => {
+    const fromDocument = await getPrompt('review_section', { sectionTitle: 'Scope' }, fakeClient());
+    assert.match(textOf(fromDocument), /"Scope" \(intro\.tex:1\)/);
+    assert.match(textOf(fromDocument), /```latex\nOnly Y\.\n```/);
+    const fromFile = await getPrompt('review_section', { sectionTitle: 'Introduction', filePath: 'main.tex' }, fakeClient());
+    assert.match(textOf(fromFile), /\(main\.tex:3\)/);
+    await assert.rejects(() => getPrompt('review_section', { sectionTitle: 'Missing' }, fakeClient()), /not found/);
+    await assert.rejects(() => getPrompt('review_section', {}, fakeClient()), /sectionTitle must be/);
+  });
+
+  it('includes the limit and current length when tightening the abstract', async () => {
+    const prompt = await getPrompt('tighten_abstract', { wordCount: '150' }, fakeClient());
+    assert.match(textOf(prompt), /at most 150 words\. It is currently about 7 words/);
+    await assert.rejects(() => getPrompt('tighten_abstract', { wordCount: 'many' }, fakeClient()), /positive integer/);
+  });
+
+  it('quotes the reviewer comment next to the section text', async () => {
+    const prompt = await getPrompt('respond_to_reviewer', { comment: 'Unclear.\nPlease expand.', sectionTitle: 'Introduction' }, fakeClient());
+    assert.match(textOf(prompt), /> Unclear\.\n> Please expand\./);
+    assert.match(textOf(prompt), /We study \\emph\{X\}\./);
+  });
+
+  it('builds a camera-ready checklist with outline, abstract and TODO markers', async () => {
+    const prompt = await getPrompt('camera_ready_checklist', { venue: 'ACL' }, fakeClient());
+    assert.strictEqual(prompt.description, 'Camera-ready checklist for ACL');
+    assert.match(textOf(prompt), /- Introduction \(main\.tex:3\)\n {2}- Scope \(intro\.tex:1\)/);
+    assert.match(textOf(prompt), /intro\.tex:4: \\todo\{add numbers\}/);
+  });
+});
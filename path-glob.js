@@ -0,0 +1,47 @@
+// Small glob matcher for project-relative paths (always "/"-separated).
+// Supports "*" (within one path segment), "**" (any number of segments),
+// "?" and brace alternatives such as "*.{tex,bib}".
+
+function globToRegExp(glob) {
+    let source = '';
+    let inBraces = false;
+    for (let i = 0; i < glob.length; i++) {
+        const ch = glob[i];
+        if (ch === '*') {
+            if (glob[i + 1] === '*') {
+                // "**/" matches zero or more directories, a bare "**" matches anything
+                if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (ch === '?') {
+            source += '[^/]';
+        } else if (ch === '{') {
+            inBraces = true;
+            source += '(?:';
+        } else if (ch === '}' && inBraces) {
+            inBraces = false;
+            source += ')';
+        } else if (ch === ',' && inBraces) {
+            source += '|';
+        } else {
+            source += ch.replace(/[.+^$()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+// Patterns without a "/" match against the file name alone, like .gitignore
+function matchesGlob(filePath, glob) {
+    const normalized = filePath.split('\\').join('/');
+    const target = glob.includes('/') ? normalized : normalized.split('/').pop();
+    return globToRegExp(glob).test(target);
+}
+
+module.exports = { globToRegExp, matchesGlob };
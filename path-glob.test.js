@@ -0,0 +1,32 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { matchesGlob } = require('./path-glob.js');
+
+describe('matchesGlob', () => {
+  it('matches file names when the pattern has no slash', () => {
+    assert.ok(matchesGlob('chapters/intro.tex', '*.tex'));
+    assert.ok(!matchesGlob('chapters/intro.bib', '*.tex'));
+  });
+
+  it('keeps "*" within one path segment', () => {
+    assert.ok(matchesGlob('chapters/intro.tex', 'chapters/*.tex'));
+    assert.ok(!matchesGlob('chapters/part1/intro.tex', 'chapters/*.tex'));
+  });
+
+  it('lets "**" span directories', () => {
+    assert.ok(matchesGlob('journal-template/a/b.cls', 'journal-template/**'));
+    assert.ok(matchesGlob('chapters/part1/intro.tex', 'chapters/**/*.tex'));
+    assert.ok(matchesGlob('chapters/intro.tex', 'chapters/**/*.tex'));
+  });
+
+  it('supports "?" and brace alternatives', () => {
+    assert.ok(matchesGlob('fig1.png', 'fig?.{png,pdf}'));
+    assert.ok(matchesGlob('fig2.pdf', 'fig?.{png,pdf}'));
+    assert.ok(!matchesGlob('fig10.png', 'fig?.{png,pdf}'));
+  });
+
+  it('escapes regex metacharacters', () => {
+    assert.ok(matchesGlob('a+b.tex', 'a+b.tex'));
+    assert.ok(!matchesGlob('aab.tex', 'a+b.tex'));
+  });
+});
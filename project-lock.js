@@ -0,0 +1,116 @@
+// Serializes operations on one project. Callers in this process queue up per
+// lock path, and a lock file next to the clone makes separate server processes
+// that share tempDir take turns as well.
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const RETRY_DELAY = 100;
+
+// Tail of the queue for each lock path
+const queues = new Map();
+
+function lockTimeoutError(label, timeout, detail) {
+    return new Error(`Lock timeout: ${label} is busy${detail ? ` (${detail})` : ''} and did not become free within ${Math.round(timeout / 1000)}s`);
+}
+
+// Resolves with a release function once every earlier caller has released
+async function waitForTurn(key, timeout, label) {
+    const previous = queues.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    queues.set(key, tail);
+    const done = () => {
+        release();
+        if (queues.get(key) === tail) queues.delete(key);
+    };
+
+    let timer;
+    const timedOut = new Promise(resolve => { timer = setTimeout(() => resolve(true), timeout); });
+    const expired = await Promise.race([previous.then(() => false), timedOut]);
+    clearTimeout(timer);
+    if (expired) {
+        // Give up our place without holding up the callers queued behind us
+        done();
+        throw lockTimeoutError(label, timeout, 'another operation in this server is still running');
+    }
+    return done;
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+async function readLockFile(lockPath) {
+    try {
+        return JSON.parse(await fs.readFile(lockPath, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+// A lock is stale when its owner crashed: the process is gone, or it is older than staleAfter
+async function isStale(lockPath, owner, staleAfter) {
+    if (owner && owner.hostname === os.hostname() && !isProcessAlive(owner.pid)) {
+        return true;
+    }
+    const stat = await fs.stat(lockPath).catch(() => null);
+    return Boolean(stat) && Date.now() - stat.mtimeMs > staleAfter;
+}
+
+async function acquireFileLock(lockPath, { timeout, staleAfter, label }) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const deadline = Date.now() + timeout;
+    await fs.mkdir(path.dirname(lockPath), { recursive: true });
+    for (;;) {
+        try {
+            const handle = await fs.open(lockPath, 'wx');
+            await handle.writeFile(JSON.stringify({ id, pid: process.pid, hostname: os.hostname(), since: new Date().toISOString() }));
+            await handle.close();
+            return async () => {
+                // Only remove the lock if it is still ours
+                const owner = await readLockFile(lockPath);
+                if (owner && owner.id === id) await fs.unlink(lockPath).catch(() => {});
+            };
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+
+        const owner = await readLockFile(lockPath);
+        if (await isStale(lockPath, owner, staleAfter)) {
+            await fs.unlink(lockPath).catch(() => {});
+            continue;
+        }
+        if (Date.now() >= deadline) {
+            const detail = owner ? `locked by process ${owner.pid} on ${owner.hostname} since ${owner.since}` : `lock file ${lockPath} exists`;
+            throw lockTimeoutError(label, timeout, detail);
+        }
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
+    }
+}
+
+async function withProjectLock(lockPath, fn, { timeout = 120000, staleAfter = 30 * 60 * 1000, label = lockPath } = {}) {
+    const start = Date.now();
+    const releaseTurn = await waitForTurn(lockPath, timeout, label);
+    try {
+        const remaining = Math.max(0, timeout - (Date.now() - start));
+        const releaseFile = await acquireFileLock(lockPath, { timeout: remaining, staleAfter, label });
+        try {
+            return await fn();
+        } finally {
+            await releaseFile();
+        }
+    } finally {
+        releaseTurn();
+    }
+}
+
+module.exports = { withProjectLock };
@@ -0,0 +1,81 @@
+const assert = require('assert');
+const { describe, it, before, after } = require('node:test');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const { withProjectLock } = require('./project-lock.js');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('withProjectLock', () => {
+  let tempDir;
+  let lockPath;
+
+  before(async () => {
+    tempDir = path.join(os.tmpdir(), 'overleaf-mcp-test-lock-' + Date.now());
+    await fs.mkdir(tempDir, { recursive: true });
+    lockPath = path.join(tempDir, 'proj.lock');
+  });
+
+  after(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('runs operations on the same project one at a time, in order', async () => {
+    const events = [];
+    const run = (name, ms) => withProjectLock(lockPath, async () => {
+      events.push(`start ${name}`);
+      await delay(ms);
+      events.push(`end ${name}`);
+      return name;
+    });
+    const results = await Promise.all([run('a', 30), run('b', 5), run('c', 1)]);
+    assert.deepStrictEqual(results, ['a', 'b', 'c']);
+    assert.deepStrictEqual(events, ['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+    await assert.rejects(() => fs.access(lockPath), { code: 'ENOENT' });
+  });
+
+  it('creates the directory of the lock file', async () => {
+    const nested = path.join(tempDir, 'missing', 'proj.lock');
+    assert.strictEqual(await withProjectLock(nested, async () => 'ran'), 'ran');
+  });
+
+  it('releases the lock when the operation throws', async () => {
+    await assert.rejects(() => withProjectLock(lockPath, async () => { throw new Error('boom'); }), /boom/);
+    assert.strictEqual(await withProjectLock(lockPath, async () => 'next'), 'next');
+  });
+
+  it('times out with a clear error while another operation holds the lock', async () => {
+    let finish;
+    const holder = withProjectLock(lockPath, () => new Promise(resolve => { finish = resolve; }));
+    await assert.rejects(
+      () => withProjectLock(lockPath, async () => 'never', { timeout: 50, label: 'project proj' }),
+      /Lock timeout: project proj is busy \(another operation in this server is still running\)/
+    );
+    finish();
+    await holder;
+    // The timed-out waiter does not block later callers
+    assert.strictEqual(await withProjectLock(lockPath, async () => 'after'), 'after');
+  });
+
+  it('waits for a lock file held by another live process', async () => {
+    await fs.writeFile(lockPath, JSON.stringify({ id: 'other', pid: process.ppid, hostname: os.hostname(), since: '2026-01-01T00:00:00.000Z' }));
+    await assert.rejects(
+      () => withProjectLock(lockPath, async () => 'never', { timeout: 150, label: 'project proj' }),
+      new RegExp(`Lock timeout: project proj is busy \\(locked by process ${process.ppid}`)
+    );
+    await fs.unlink(lockPath);
+  });
+
+  it('takes over a lock file left behind by a process that exited', async () => {
+    await fs.writeFile(lockPath, JSON.stringify({ id: 'dead', pid: 2 ** 22 + 1, hostname: os.hostname(), since: '2026-01-01T00:00:00.000Z' }));
+    assert.strictEqual(await withProjectLock(lockPath, async () => 'taken', { timeout: 150 }), 'taken');
+  });
+
+  it('takes over a lock file older than staleAfter', async () => {
+    await fs.writeFile(lockPath, JSON.stringify({ id: 'old', pid: process.ppid, hostname: 'elsewhere', since: '2026-01-01T00:00:00.000Z' }));
+    const past = new Date(Date.now() - 60000);
+    await fs.utimes(lockPath, past, past);
+    assert.strictEqual(await withProjectLock(lockPath, async () => 'taken', { timeout: 150, staleAfter: 1000 }), 'taken');
+  });
+});
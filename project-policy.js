@@ -0,0 +1,159 @@
+// Per-project write policies from the "policy" block of a project in
+// projects.json. guardClient() checks every mutating OverleafGitClient call
+// against the policy before it runs.
+
+const path = require('path');
+const { matchesGlob } = require('./path-glob.js');
+
+const filePathArgument = ([filePath]) => [{ path: filePath }];
+const noFiles = () => [];
+// Size of the version a file is reset to; undefined when it is deleted instead
+const sizeAt = async (client, revision, filePath) => (await client.getFileSizeAt(revision, filePath)) ?? undefined;
+
+// Client methods that change the project, mapped to the files each call writes.
+// Dry runs return null since they leave the project untouched.
+const MUTATING_METHODS = {
+    writeFile: ([filePath, content]) => [{ path: filePath, size: Buffer.byteLength(content, 'utf8') }],
+    writeBinaryFile: ([filePath, buffer]) => [{ path: filePath, size: buffer.length }],
+    editFile: filePathArgument,
+    deleteFile: filePathArgument,
+    replaceSection: filePathArgument,
+    insertSection: filePathArgument,
+    deleteSection: filePathArgument,
+    upsertBibEntry: filePathArgument,
+    formatBibFile: ([filePath, options = {}]) => (options.dryRun ? null : [{ path: filePath }]),
+    applyPatch: async ([patchText, options = {}], client) => {
+        if (options.dryRun) return null;
+        // The dry run patches in memory, which gives the size of every file the patch writes
+        const preview = await client.applyPatch(patchText, { dryRun: true });
+        return preview.files.flatMap(f => [
+            ...(f.oldPath && f.oldPath !== f.path ? [{ path: f.oldPath }] : []),
+            { path: f.path, size: f.size }
+        ]);
+    },
+    replaceInProject: async ([query, replacement, options = {}], client) => {
+        if (options.dryRun !== false) return null;
+        const preview = await client.replaceInProject(query, replacement, { ...options, dryRun: true });
+        return preview.files.map(f => ({ path: f.file, size: f.size }));
+    },
+    moveFile: async ([from, to, options = {}], client) => {
+        if (options.dryRun) return null;
+        // Both locations of every moved file, plus the files whose references get rewritten
+        const preview = await client.moveFile(from, to, { dryRun: true });
+        return [
+            ...preview.moved.flatMap(m => [{ path: m.from }, { path: m.to }]),
+            ...preview.updated.map(u => ({ path: u.file, size: u.size }))
+        ];
+    },
+    resolveConflict: ([filePath, resolution, content]) => [resolution === 'manual' && typeof content === 'string'
+        ? { path: filePath, size: Buffer.byteLength(content, 'utf8') }
+        : { path: filePath }],
+    discardChanges: filePathArgument,
+    restoreFile: async ([filePath, revision], client) => [{ path: filePath, size: await sizeAt(client, revision, filePath) }],
+    stage: noFiles,
+    unstage: noFiles,
+    commit: noFiles,
+    push: noFiles,
+    syncChanges: noFiles,
+    // Reverting puts each file back to its version in the parent commit
+    revertCommit: async ([revision], client) => Promise.all((await client.getCommitFiles(revision))
+        .map(async filePath => ({ path: filePath, size: await sizeAt(client, `${revision}^`, filePath) }))),
+    finishMerge: noFiles,
+    abortMerge: noFiles
+};
+
+function globList(policy, key) {
+    const value = policy[key];
+    if (value === undefined) return [];
+    if (!Array.isArray(value) || !value.every(glob => typeof glob === 'string' && glob.trim())) {
+        throw new Error(`policy.${key} must be an array of glob patterns`);
+    }
+    return value;
+}
+
+function booleanOption(policy, key) {
+    if (policy[key] !== undefined && typeof policy[key] !== 'boolean') {
+        throw new Error(`policy.${key} must be true or false`);
+    }
+    return policy[key] === true;
+}
+
+function parsePolicy(policy = {}) {
+    if (policy === null || typeof policy !== 'object' || Array.isArray(policy)) {
+        throw new Error('policy must be an object');
+    }
+    const maxFileSizeKB = policy.maxFileSizeKB ?? null;
+    if (maxFileSizeKB !== null && (typeof maxFileSizeKB !== 'number' || !(maxFileSizeKB > 0))) {
+        throw new Error('policy.maxFileSizeKB must be a positive number');
+    }
+    return {
+        readOnly: booleanOption(policy, 'readOnly'),
+        allowedPaths: globList(policy, 'allowedPaths'),
+        deniedPaths: globList(policy, 'deniedPaths'),
+        maxFileSize: maxFileSizeKB === null ? null : Math.round(maxFileSizeKB * 1024),
+        requirePushConfirmation: booleanOption(policy, 'requirePushConfirmation')
+    };
+}
+
+function isRestricted(policy) {
+    return policy.readOnly || policy.allowedPaths.length > 0 || policy.deniedPaths.length > 0 || policy.maxFileSize !== null;
+}
+
+// One line per active restriction, for status output
+function describePolicy(policy) {
+    const lines = [];
+    if (policy.readOnly) lines.push('read-only');
+    if (policy.allowedPaths.length > 0) lines.push(`writes limited to ${policy.allowedPaths.join(', ')}`);
+    if (policy.deniedPaths.length > 0) lines.push(`protected paths: ${policy.deniedPaths.join(', ')}`);
+    if (policy.maxFileSize !== null) lines.push(`files up to ${policy.maxFileSize} bytes`);
+    if (policy.requirePushConfirmation) lines.push('pushes need confirmation');
+    return lines;
+}
+
+// Key of another entry in projects.json for projectId that sets a policy.
+// Reaching that clone through a different entry would skip its policy.
+function findPolicyProject(projects, projectId, exceptConfig) {
+    const match = Object.entries(projects || {}).find(([, config]) =>
+        config !== exceptConfig && config.projectId === projectId && describePolicy(parsePolicy(config.policy)).length > 0);
+    return match ? match[0] : null;
+}
+
+function checkWrites(policy, label, method, writes) {
+    if (policy.readOnly) {
+        throw new Error(`Policy violation: ${label} is read-only (${method} is not allowed)`);
+    }
+    for (const write of writes) {
+        const filePath = path.posix.normalize(write.path.split(path.sep).join('/'));
+        const denied = policy.deniedPaths.find(glob => matchesGlob(filePath, glob));
+        if (denied) {
+            throw new Error(`Policy violation: '${filePath}' is protected in ${label} (matches "${denied}")`);
+        }
+        if (policy.allowedPaths.length > 0 && !policy.allowedPaths.some(glob => matchesGlob(filePath, glob))) {
+            throw new Error(`Policy violation: '${filePath}' is outside the paths ${label} allows writing (${policy.allowedPaths.join(', ')})`);
+        }
+        if (policy.maxFileSize !== null && write.size !== undefined && write.size > policy.maxFileSize) {
+            throw new Error(`Policy violation: '${filePath}' would be ${write.size} bytes, over the ${policy.maxFileSize} byte limit for ${label}`);
+        }
+    }
+}
+
+// Wraps client so mutating methods are checked first. Methods run with the
+// guarded client as `this`, so files written internally (the final content of
+// an edit_file, say) are checked as well.
+function guardClient(client, policy, label) {
+    if (!isRestricted(policy)) return client;
+    return new Proxy(client, {
+        get(target, property, receiver) {
+            const value = Reflect.get(target, property, receiver);
+            const writesOf = MUTATING_METHODS[property];
+            if (!writesOf || typeof value !== 'function') return value;
+            return async function (...args) {
+                const writes = await writesOf(args, target);
+                if (writes) checkWrites(policy, label, property, writes);
+                return await value.apply(receiver, args);
+            };
+        }
+    });
+}
+
+module.exports = { MUTATING_METHODS, parsePolicy, describePolicy, findPolicyProject, guardClient };
@@ -0,0 +1,199 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const OverleafGitClient = require('./overleaf-git-client.js');
+const { MUTATING_METHODS, parsePolicy, describePolicy, findPolicyProject, guardClient } = require('./project-policy.js');
+const { parsePatch } = require('./unified-diff.js');
+
+// Records calls instead of touching git; editFile writes through this.writeFile like the real client
+class FakeClient {
+  constructor() {
+    this.calls = [];
+  }
+
+  async readFile(filePath) {
+    this.calls.push(['readFile', filePath]);
+    return 'content';
+  }
+
+  async writeFile(filePath, content) {
+    this.calls.push(['writeFile', filePath, content.length]);
+  }
+
+  async editFile(filePath, oldString, newString) {
+    this.calls.push(['editFile', filePath]);
+    await this.writeFile(filePath, newString);
+    return 1;
+  }
+
+  // Each patched file comes out as long as the patch text
+  async applyPatch(patchText, { dryRun = false } = {}) {
+    this.calls.push(['applyPatch', dryRun]);
+    return { files: parsePatch(patchText).map(f => ({ path: f.newPath || f.oldPath, oldPath: f.oldPath, size: patchText.length })) };
+  }
+
+  async replaceInProject(query, replacement, { dryRun = true } = {}) {
+    this.calls.push(['replaceInProject', dryRun]);
+    return { files: [{ file: 'main.tex', size: replacement.length }, { file: 'template/style.cls', size: 1 }] };
+  }
+
+  async getCommitFiles(revision) {
+    this.calls.push(['getCommitFiles', revision]);
+    return ['main.tex', 'style.cls'];
+  }
+
+  async revertCommit(revision) {
+    this.calls.push(['revertCommit', revision]);
+  }
+
+  // Every file is 2000 bytes in the parent of HEAD and missing before that
+  async getFileSizeAt(revision) {
+    return revision === 'HEAD^' ? 2000 : null;
+  }
+
+  async restoreFile(filePath, revision) {
+    this.calls.push(['restoreFile', filePath, revision]);
+  }
+
+  async resolveConflict(filePath, resolution) {
+    this.calls.push(['resolveConflict', filePath, resolution]);
+  }
+
+  async commit() {
+    this.calls.push(['commit']);
+    return 'committed';
+  }
+}
+
+describe('parsePolicy', () => {
+  it('defaults to an unrestricted policy', () => {
+    assert.deepStrictEqual(parsePolicy(undefined), {
+      readOnly: false,
+      allowedPaths: [],
+      deniedPaths: [],
+      maxFileSize: null,
+      requirePushConfirmation: false
+    });
+  });
+
+  it('converts maxFileSizeKB to bytes', () => {
+    assert.strictEqual(parsePolicy({ maxFileSizeKB: 2 }).maxFileSize, 2048);
+  });
+
+  it('rejects malformed settings', () => {
+    assert.throws(() => parsePolicy([]), /policy must be an object/);
+    assert.throws(() => parsePolicy({ readOnly: 'yes' }), /policy.readOnly must be true or false/);
+    assert.throws(() => parsePolicy({ deniedPaths: '*.cls' }), /policy.deniedPaths must be an array of glob patterns/);
+    assert.throws(() => parsePolicy({ maxFileSizeKB: 0 }), /policy.maxFileSizeKB must be a positive number/);
+  });
+
+  it('describes the active restrictions', () => {
+    assert.deepStrictEqual(describePolicy(parsePolicy({ deniedPaths: ['*.cls'], requirePushConfirmation: true })), [
+      'protected paths: *.cls',
+      'pushes need confirmation'
+    ]);
+  });
+});
+
+describe('guardClient', () => {
+  it('returns the client itself when nothing is restricted', () => {
+    const client = new FakeClient();
+    assert.strictEqual(guardClient(client, parsePolicy({ requirePushConfirmation: true }), 'project "p"'), client);
+  });
+
+  it('blocks every mutating call on a read-only project but allows reads and dry runs', async () => {
+    const client = new FakeClient();
+    const guarded = guardClient(client, parsePolicy({ readOnly: true }), 'project "supervisor"');
+    assert.strictEqual(await guarded.readFile('main.tex'), 'content');
+    await guarded.applyPatch('--- a/main.tex\n+++ b/main.tex\n', { dryRun: true });
+    await guarded.replaceInProject('a', 'b');
+    await assert.rejects(() => guarded.writeFile('main.tex', 'x'), /Policy violation: project "supervisor" is read-only \(writeFile is not allowed\)/);
+    await assert.rejects(() => guarded.commit('msg'), /read-only \(commit is not allowed\)/);
+    assert.deepStrictEqual(client.calls, [['readFile', 'main.tex'], ['applyPatch', true], ['replaceInProject', true]]);
+  });
+
+  it('rejects writes to denied paths and outside allowed paths', async () => {
+    const guarded = guardClient(new FakeClient(), parsePolicy({
+      allowedPaths: ['**/*.{tex,bib}', 'figures/**'],
+      deniedPaths: ['journal-template/**']
+    }), 'project "paper"');
+    await guarded.writeFile('sections/intro.tex', 'x');
+    await guarded.writeFile('figures/plot.pdf', 'x');
+    await assert.rejects(() => guarded.writeFile('journal-template/main.tex', 'x'), /'journal-template\/main.tex' is protected in project "paper" \(matches "journal-template\/\*\*"\)/);
+    await assert.rejects(() => guarded.writeFile('paper.cls', 'x'), /'paper.cls' is outside the paths project "paper" allows writing/);
+  });
+
+  it('checks every file a patch or project-wide replacement would touch', async () => {
+    const client = new FakeClient();
+    const guarded = guardClient(client, parsePolicy({ deniedPaths: ['*.cls'] }), 'project "paper"');
+    await assert.rejects(
+      () => guarded.applyPatch('--- a/main.tex\n+++ b/main.tex\n@@ -1 +1 @@\n-a\n+b\n--- a/style.cls\n+++ b/style.cls\n'),
+      /'style.cls' is protected/
+    );
+    await assert.rejects(() => guarded.replaceInProject('a', 'b', { dryRun: false }), /'template\/style.cls' is protected/);
+    // Only the previews ran
+    assert.deepStrictEqual(client.calls, [['applyPatch', true], ['replaceInProject', true]]);
+  });
+
+  it('checks the files a reverted commit changes', async () => {
+    const client = new FakeClient();
+    const guarded = guardClient(client, parsePolicy({ deniedPaths: ['*.cls'] }), 'project "paper"');
+    await assert.rejects(() => guarded.revertCommit('HEAD'), /'style.cls' is protected/);
+    assert.deepStrictEqual(client.calls, [['getCommitFiles', 'HEAD']]);
+  });
+
+  it('enforces the size limit on the content an edit finally writes', async () => {
+    const client = new FakeClient();
+    const guarded = guardClient(client, parsePolicy({ maxFileSizeKB: 1 }), 'project "paper"');
+    await guarded.editFile('main.tex', 'a', 'short');
+    await assert.rejects(() => guarded.editFile('main.tex', 'a', 'x'.repeat(1025)), /'main.tex' would be 1025 bytes, over the 1024 byte limit for project "paper"/);
+    assert.deepStrictEqual(client.calls, [['editFile', 'main.tex'], ['writeFile', 'main.tex', 5], ['editFile', 'main.tex']]);
+  });
+
+  it('enforces the size limit on manual conflict resolutions and restored versions', async () => {
+    const client = new FakeClient();
+    const guarded = guardClient(client, parsePolicy({ maxFileSizeKB: 1 }), 'project "paper"');
+    await assert.rejects(() => guarded.resolveConflict('main.tex', 'manual', 'x'.repeat(1025)), /'main.tex' would be 1025 bytes, over the 1024 byte limit/);
+    await guarded.resolveConflict('main.tex', 'manual', 'merged');
+    await guarded.resolveConflict('main.tex', 'theirs');
+    await assert.rejects(() => guarded.restoreFile('main.tex', 'HEAD^'), /'main.tex' would be 2000 bytes/);
+    await assert.rejects(() => guarded.revertCommit('HEAD'), /'main.tex' would be 2000 bytes/);
+    // Revisions where the file does not exist have no size to check
+    await guarded.restoreFile('main.tex', 'HEAD~5');
+    assert.deepStrictEqual(client.calls, [
+      ['resolveConflict', 'main.tex', 'manual'],
+      ['resolveConflict', 'main.tex', 'theirs'],
+      ['getCommitFiles', 'HEAD'],
+      ['restoreFile', 'main.tex', 'HEAD~5']
+    ]);
+  });
+
+  it('enforces the size limit on files a patch or project-wide replacement writes', async () => {
+    const client = new FakeClient();
+    const guarded = guardClient(client, parsePolicy({ maxFileSizeKB: 1 }), 'project "paper"');
+    const patch = '--- /dev/null\n+++ b/big.tex\n@@ -0,0 +1 @@\n+' + 'x'.repeat(1100) + '\n';
+    await assert.rejects(() => guarded.applyPatch(patch), /'big.tex' would be \d+ bytes, over the 1024 byte limit/);
+    await assert.rejects(() => guarded.replaceInProject('a', 'x'.repeat(1025), { dryRun: false }), /'main.tex' would be 1025 bytes/);
+    await guarded.replaceInProject('a', 'short', { dryRun: false });
+    assert.deepStrictEqual(client.calls, [['applyPatch', true], ['replaceInProject', true], ['replaceInProject', true], ['replaceInProject', false]]);
+  });
+
+  it('covers methods that exist on OverleafGitClient', () => {
+    for (const method of Object.keys(MUTATING_METHODS)) {
+      assert.strictEqual(typeof OverleafGitClient.prototype[method], 'function', method);
+    }
+  });
+});
+
+describe('findPolicyProject', () => {
+  it('finds another entry with a policy for the same projectId', () => {
+    const projects = {
+      default: { projectId: 'abc' },
+      supervisor: { projectId: 'def', policy: { readOnly: true } },
+      mirror: { projectId: 'def' }
+    };
+    assert.strictEqual(findPolicyProject(projects, 'def', projects.default), 'supervisor');
+    assert.strictEqual(findPolicyProject(projects, 'def', projects.supervisor), null);
+    assert.strictEqual(findPolicyProject(projects, 'abc', projects.mirror), null);
+    assert.strictEqual(findPolicyProject(undefined, 'abc', null), null);
+  });
+});
@@ -0,0 +1,34 @@
+// overleaf://<projectName>/<path>[?section=<title>] URIs used for MCP resources.
+// Each path segment is percent-encoded so file names with spaces survive.
+
+const SCHEME = 'overleaf:';
+
+function buildResourceUri(projectName, filePath, sectionTitle = null) {
+    const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
+    const query = sectionTitle ? `?section=${encodeURIComponent(sectionTitle)}` : '';
+    return `overleaf://${encodeURIComponent(projectName)}/${encodedPath}${query}`;
+}
+
+function parseResourceUri(uri) {
+    let url;
+    try {
+        url = new URL(uri);
+    } catch {
+        throw new Error(`Invalid resource URI: ${uri}`);
+    }
+    if (url.protocol !== SCHEME || !url.host) {
+        throw new Error(`Invalid resource URI: ${uri} (expected overleaf://<projectName>/<path>)`);
+    }
+    // URL already resolves "." and ".." segments; encoded slashes could smuggle them back in
+    const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    if (segments.length === 0 || segments.some(s => s === '..' || s === '.' || s.includes('/'))) {
+        throw new Error(`Invalid resource URI: ${uri} (expected overleaf://<projectName>/<path>)`);
+    }
+    return {
+        projectName: decodeURIComponent(url.host),
+        filePath: segments.join('/'),
+        section: url.searchParams.get('section')
+    };
+}
+
+module.exports = { buildResourceUri, parseResourceUri };
@@ -0,0 +1,33 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { buildResourceUri, parseResourceUri } = require('./resource-uri.js');
+
+describe('buildResourceUri', () => {
+  it('encodes each path segment and the section title', () => {
+    assert.strictEqual(buildResourceUri('default', 'chapters/intro.tex'), 'overleaf://default/chapters/intro.tex');
+    assert.strictEqual(
+      buildResourceUri('thesis', 'figures/my plot.png'),
+      'overleaf://thesis/figures/my%20plot.png'
+    );
+    assert.strictEqual(
+      buildResourceUri('default', 'main.tex', 'Results & Discussion'),
+      'overleaf://default/main.tex?section=Results%20%26%20Discussion'
+    );
+  });
+});
+
+describe('parseResourceUri', () => {
+  it('round-trips built URIs', () => {
+    const uri = buildResourceUri('My Paper', 'figures/my plot.png', 'Intro');
+    assert.deepStrictEqual(parseResourceUri(uri), { projectName: 'My Paper', filePath: 'figures/my plot.png', section: 'Intro' });
+    assert.strictEqual(parseResourceUri('overleaf://default/main.tex').section, null);
+  });
+
+  it('rejects other schemes, missing paths and path traversal', () => {
+    assert.throws(() => parseResourceUri('file:///etc/passwd'), /Invalid resource URI/);
+    assert.throws(() => parseResourceUri('overleaf://default/'), /Invalid resource URI/);
+    assert.throws(() => parseResourceUri('overleaf://default/..%2Fsecret'), /Invalid resource URI/);
+    assert.strictEqual(parseResourceUri('overleaf://default/a/%2E%2E/b').filePath, 'b');
+    assert.throws(() => parseResourceUri('not a uri'), /Invalid resource URI/);
+  });
+});
@@ -0,0 +1,184 @@
+// Minimal unified diff parser/applier used by OverleafGitClient.applyPatch().
+// Handles the output of `git diff` and `diff -u`: multiple files, new and
+// deleted files, and "\ No newline at end of file" markers.
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+function stripPatchPath(rawPath) {
+    // Drop trailing timestamps from `diff -u` output and the a/ b/ prefixes git adds
+    const p = rawPath.split('\t')[0].trim();
+    if (p === '/dev/null') return null;
+    return p.replace(/^[ab]\//, '');
+}
+
+function parsePatch(patchText) {
+    const lines = patchText.split('\n');
+    const files = [];
+    let i = 0;
+    // Extended header lines of the current `diff --git` block
+    let gitHeader = null;
+
+    while (i < lines.length) {
+        if (lines[i].startsWith('diff --git ')) {
+            gitHeader = { renameFrom: false, renameTo: false };
+        } else if (gitHeader && lines[i].startsWith('rename from ')) {
+            gitHeader.renameFrom = true;
+        } else if (gitHeader && lines[i].startsWith('rename to ')) {
+            gitHeader.renameTo = true;
+        }
+        if (!lines[i].startsWith('--- ') || !(lines[i + 1] || '').startsWith('+++ ')) {
+            i++;
+            continue;
+        }
+        const file = {
+            oldPath: stripPatchPath(lines[i].substring(4)),
+            newPath: stripPatchPath(lines[i + 1].substring(4)),
+            hunks: []
+        };
+        if (!file.oldPath && !file.newPath) {
+            throw new Error(`Invalid patch: both sides are /dev/null at line ${i + 1}`);
+        }
+        // Only git marks renames; `diff -u main.tex.orig main.tex` patches the +++ file
+        const renamed = gitHeader && gitHeader.renameFrom && gitHeader.renameTo;
+        if (file.oldPath && file.newPath && !renamed) {
+            file.oldPath = file.newPath;
+        }
+        gitHeader = null;
+        i += 2;
+
+        while (i < lines.length && lines[i].startsWith('@@')) {
+            const header = HUNK_HEADER.exec(lines[i]);
+            if (!header) {
+                throw new Error(`Invalid hunk header at line ${i + 1}: ${lines[i]}`);
+            }
+            const hunk = {
+                oldStart: parseInt(header[1], 10),
+                oldLines: header[2] === undefined ? 1 : parseInt(header[2], 10),
+                newStart: parseInt(header[3], 10),
+                newLines: header[4] === undefined ? 1 : parseInt(header[4], 10),
+                lines: [],
+                oldNoNewline: false,
+                newNoNewline: false
+            };
+            i++;
+
+            let oldSeen = 0;
+            let newSeen = 0;
+            while (i < lines.length && (oldSeen < hunk.oldLines || newSeen < hunk.newLines || lines[i].startsWith('\\'))) {
+                const line = lines[i];
+                if (line.startsWith('\\')) {
+                    // Applies to whichever side(s) the previous line belonged to
+                    const prev = hunk.lines[hunk.lines.length - 1];
+                    if (prev && prev[0] !== '+') hunk.oldNoNewline = true;
+                    if (prev && prev[0] !== '-') hunk.newNoNewline = true;
+                    i++;
+                    continue;
+                }
+                // Some editors strip the single space from blank context lines
+                const op = line === '' ? ' ' : line[0];
+                if (op === ' ') {
+                    oldSeen++;
+                    newSeen++;
+                } else if (op === '-') {
+                    oldSeen++;
+                } else if (op === '+') {
+                    newSeen++;
+                } else {
+                    break;
+                }
+                hunk.lines.push(line === '' ? ' ' : line);
+                i++;
+            }
+            if (oldSeen !== hunk.oldLines || newSeen !== hunk.newLines) {
+                throw new Error(`Invalid patch: hunk at line ${i} has the wrong number of lines`);
+            }
+            file.hunks.push(hunk);
+        }
+        files.push(file);
+    }
+
+    if (files.length === 0) {
+        throw new Error('Invalid patch: no file headers (---/+++) found');
+    }
+    return files;
+}
+
+function splitLines(content) {
+    if (content === '') return { lines: [], eofNewline: true };
+    const eofNewline = content.endsWith('\n');
+    const lines = (eofNewline ? content.slice(0, -1) : content).split('\n');
+    return { lines, eofNewline };
+}
+
+function blockMatches(lines, block, at) {
+    if (at < 0 || at + block.length > lines.length) return false;
+    return block.every((line, k) => lines[at + k] === line);
+}
+
+// Applies one file's hunks to `content` (null for a file that does not exist).
+// Returns the new content (null when the file is deleted) and per-hunk results.
+function applyFilePatch(content, filePatch) {
+    if (content === null && filePatch.oldPath) {
+        return {
+            content: null,
+            hunks: filePatch.hunks.map((h, index) => ({ index, status: 'failed', message: 'file does not exist' }))
+        };
+    }
+    if (content !== null && !filePatch.oldPath) {
+        return {
+            content,
+            hunks: filePatch.hunks.map((h, index) => ({ index, status: 'failed', message: 'file already exists' }))
+        };
+    }
+
+    const { lines, eofNewline: originalEofNewline } = splitLines(content || '');
+    let eofNewline = originalEofNewline;
+    const results = [];
+    let delta = 0;
+    let minPosition = 0;
+
+    filePatch.hunks.forEach((hunk, index) => {
+        const oldBlock = hunk.lines.filter(l => l[0] !== '+').map(l => l.substring(1));
+        const newBlock = hunk.lines.filter(l => l[0] !== '-').map(l => l.substring(1));
+        // A zero-length old side means "insert after line oldStart"
+        const expected = (hunk.oldLines === 0 ? hunk.oldStart : hunk.oldStart - 1) + delta;
+
+        let position = -1;
+        for (let offset = 0; offset <= lines.length; offset++) {
+            if (expected - offset >= minPosition && blockMatches(lines, oldBlock, expected - offset)) {
+                position = expected - offset;
+                break;
+            }
+            if (offset > 0 && blockMatches(lines, oldBlock, expected + offset)) {
+                position = expected + offset;
+                break;
+            }
+        }
+
+        if (position === -1) {
+            results.push({ index, status: 'failed', message: `context does not match near line ${hunk.oldStart}` });
+            return;
+        }
+
+        const offset = position - expected;
+        lines.splice(position, oldBlock.length, ...newBlock);
+        if (position + newBlock.length === lines.length) {
+            if (hunk.newNoNewline) eofNewline = false;
+            else if (hunk.oldNoNewline) eofNewline = true;
+        }
+        delta += newBlock.length - oldBlock.length;
+        minPosition = position + newBlock.length;
+        results.push({ index, status: 'applied', offset });
+    });
+
+    if (!filePatch.newPath) {
+        if (lines.length > 0) {
+            return { content, hunks: results, error: 'file has content not removed by the patch' };
+        }
+        return { content: null, hunks: results };
+    }
+    const joined = lines.join('\n');
+    return { content: lines.length > 0 && eofNewline ? `${joined}\n` : joined, hunks: results };
+}
+
+module.exports = { parsePatch, applyFilePatch };
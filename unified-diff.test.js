@@ -0,0 +1,101 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { parsePatch, applyFilePatch } = require('./unified-diff.js');
+
+describe('parsePatch', () => {
+  it('parses git-style multi-file diffs', () => {
+    const files = parsePatch([
+      'diff --git a/a.tex b/a.tex',
+      'index 123..456 100644',
+      '--- a/a.tex',
+      '+++ b/a.tex',
+      '@@ -1,2 +1,2 @@',
+      ' one',
+      '-two',
+      '+TWO',
+      'diff --git a/b.tex b/b.tex',
+      'new file mode 100644',
+      '--- /dev/null',
+      '+++ b/b.tex',
+      '@@ -0,0 +1 @@',
+      '+fresh',
+      ''
+    ].join('\n'));
+    assert.strictEqual(files.length, 2);
+    assert.strictEqual(files[0].oldPath, 'a.tex');
+    assert.deepStrictEqual(files[0].hunks[0].lines, [' one', '-two', '+TWO']);
+    assert.strictEqual(files[1].oldPath, null);
+    assert.strictEqual(files[1].newPath, 'b.tex');
+    assert.strictEqual(files[1].hunks[0].newLines, 1);
+  });
+
+  it('patches the +++ file when diff -u compares differently named files', () => {
+    const [file] = parsePatch([
+      '--- main.tex.orig\t2026-10-19 10:00:00.000000000 +0000',
+      '+++ main.tex\t2026-10-19 10:05:00.000000000 +0000',
+      '@@ -1 +1 @@',
+      '-old',
+      '+new',
+      ''
+    ].join('\n'));
+    assert.strictEqual(file.oldPath, 'main.tex');
+    assert.strictEqual(file.newPath, 'main.tex');
+  });
+
+  it('keeps both paths of a git rename', () => {
+    const [file] = parsePatch([
+      'diff --git a/old.tex b/new.tex',
+      'similarity index 90%',
+      'rename from old.tex',
+      'rename to new.tex',
+      '--- a/old.tex',
+      '+++ b/new.tex',
+      '@@ -1 +1 @@',
+      '-old',
+      '+new',
+      ''
+    ].join('\n'));
+    assert.strictEqual(file.oldPath, 'old.tex');
+    assert.strictEqual(file.newPath, 'new.tex');
+  });
+
+  it('rejects text without file headers', () => {
+    assert.throws(() => parsePatch('just some text'), /no file headers/);
+  });
+
+  it('rejects hunks with the wrong line count', () => {
+    assert.throws(() => parsePatch('--- a/x\n+++ b/x\n@@ -1,3 +1,3 @@\n a\n'), /wrong number of lines/);
+  });
+});
+
+describe('applyFilePatch', () => {
+  const patchFor = (text) => parsePatch(text)[0];
+
+  it('applies hunks at the expected position', () => {
+    const result = applyFilePatch('a\nb\nc\n', patchFor('--- a/x\n+++ b/x\n@@ -2 +2 @@\n-b\n+B\n'));
+    assert.strictEqual(result.content, 'a\nB\nc\n');
+    assert.deepStrictEqual(result.hunks, [{ index: 0, status: 'applied', offset: 0 }]);
+  });
+
+  it('finds shifted context and reports the offset', () => {
+    const result = applyFilePatch('new\na\nb\nc\n', patchFor('--- a/x\n+++ b/x\n@@ -1,2 +1,2 @@\n a\n-b\n+B\n'));
+    assert.strictEqual(result.content, 'new\na\nB\nc\n');
+    assert.strictEqual(result.hunks[0].offset, 1);
+  });
+
+  it('reports failed hunks when context does not match', () => {
+    const result = applyFilePatch('a\nb\n', patchFor('--- a/x\n+++ b/x\n@@ -1 +1 @@\n-z\n+Z\n'));
+    assert.strictEqual(result.hunks[0].status, 'failed');
+    assert.match(result.hunks[0].message, /context does not match/);
+  });
+
+  it('creates and deletes files', () => {
+    assert.strictEqual(applyFilePatch(null, patchFor('--- /dev/null\n+++ b/x\n@@ -0,0 +1,2 @@\n+a\n+b\n')).content, 'a\nb\n');
+    assert.strictEqual(applyFilePatch('a\n', patchFor('--- a/x\n+++ /dev/null\n@@ -1 +0,0 @@\n-a\n')).content, null);
+  });
+
+  it('honours "No newline at end of file" markers', () => {
+    const result = applyFilePatch('a\nb', patchFor('--- a/x\n+++ b/x\n@@ -2 +2 @@\n-b\n\\ No newline at end of file\n+c\n'));
+    assert.strictEqual(result.content, 'a\nc\n');
+  });
+});